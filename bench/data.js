@@ -0,0 +1,182 @@
+/**
+ * @fileoverview ベンチマーク用の入力データ.
+ * 実行ごとに同じデータになるように固定のシードの擬似乱数で生成する.
+ */
+
+/**
+ * 線形合同法による擬似乱数
+ * @param {number} seed シード.
+ * @return {function(): number} [0, 1) の乱数を返す関数.
+ */
+function random(seed) {
+  return function() {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    return seed / 0x100000000;
+  };
+}
+
+/** @const {!Array.<string>} */
+var WORDS = (
+  'the of and to in is that it for was on are as with his they at be this ' +
+  'from have or by one had not but what all were when we there can an your ' +
+  'which their said if do will each about how up out them then she many ' +
+  'some so these would other into has more her two like him see time could ' +
+  'no make than first been its who now people my made over did down only ' +
+  'way find use may water long little very after words called just where ' +
+  'most know get through back much before go good new write our used me ' +
+  'man too any day same right look think also around another came come ' +
+  'work three word must because does part even place well such here take ' +
+  'why things help put years different away again off went old number'
+).split(' ');
+
+/**
+ * 英文に近い単語の並び. 出現頻度は先頭の単語ほど高い.
+ * @param {number} size 出力サイズ.
+ * @return {!Uint8Array}
+ */
+exports.text = function(size) {
+  var rand = random(1), data = new Uint8Array(size), pos = 0, column = 0,
+      word, i;
+
+  while (pos < size) {
+    word = WORDS[(rand() * rand() * WORDS.length) | 0];
+    for (i = 0; i < word.length && pos < size; ++i) {
+      data[pos++] = word.charCodeAt(i);
+    }
+    column += word.length + 1;
+    if (pos < size) {
+      data[pos++] = column > 72 ? 0x0a : 0x20;
+    }
+    if (column > 72) {
+      column = 0;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * 幾何分布に従うバイト列 (値 n の出現確率が 2^-(n+1)).
+ * マッチがほとんどなく, 符号長の短いリテラルが大半になる.
+ * @param {number} size 出力サイズ.
+ * @return {!Uint8Array}
+ */
+exports.geometric = function(size) {
+  var rand = random(2), data = new Uint8Array(size), i, n;
+
+  for (i = 0; i < size; ++i) {
+    n = 0;
+    while (n < 255 && rand() < 0.5) {
+      ++n;
+    }
+    data[i] = n;
+  }
+
+  return data;
+};
+
+/**
+ * 値 n の出現頻度がフィボナッチ数 F(n + 1) に比例するバイト列.
+ * 小さなブロックでも最大長 (15 bit) に近いハフマン符号ができる.
+ * @param {number} size 出力サイズ.
+ * @return {!Uint8Array}
+ */
+exports.fibonacci = function(size) {
+  var rand = random(4), data = new Uint8Array(size), weights = [1, 1],
+      total = 2, i, n, r;
+
+  while (weights.length < 24) {
+    n = weights[weights.length - 1] + weights[weights.length - 2];
+    weights.push(n);
+    total += n;
+  }
+
+  for (i = 0; i < size; ++i) {
+    r = rand() * total;
+    for (n = weights.length - 1; n > 0 && r >= weights[n]; --n) {
+      r -= weights[n];
+    }
+    data[i] = n;
+  }
+
+  return data;
+};
+
+/**
+ * fibonacciBlocks で繰り返す並びの大きさ (F(2) + ... + F(16)).
+ * @const {number}
+ */
+exports.FIBONACCI_CHUNK = 2582;
+
+/**
+ * 値 n (0 <= n < 15) がフィボナッチ数 F(n + 2) 回ずつ出現する
+ * FIBONACCI_CHUNK バイトの並びを, 順序を入れ替えながら繰り返したバイト列.
+ * 1 つの並び (と終端コード) だけのブロックで 15 bit のリテラル符号ができる.
+ * @param {number} size 出力サイズ.
+ * @return {!Uint8Array}
+ */
+exports.fibonacciBlocks = function(size) {
+  var rand = random(5), data = new Uint8Array(size), chunk = [],
+      weights = [1, 2], pos, i, j, n;
+
+  while (weights.length < 15) {
+    weights.push(weights[weights.length - 1] + weights[weights.length - 2]);
+  }
+  for (n = 0; n < weights.length; ++n) {
+    for (i = 0; i < weights[n]; ++i) {
+      chunk.push(n);
+    }
+  }
+
+  for (pos = 0; pos < size;) {
+    // Fisher-Yates
+    for (i = chunk.length - 1; i > 0; --i) {
+      j = (rand() * (i + 1)) | 0;
+      n = chunk[i];
+      chunk[i] = chunk[j];
+      chunk[j] = n;
+    }
+    for (i = 0; i < chunk.length && pos < size; ++i) {
+      data[pos++] = chunk[i];
+    }
+  }
+
+  return data;
+};
+
+/**
+ * 固定長レコードの並び (連番, 小さな整数, 乱数を含むバイナリ).
+ * @param {number} size 出力サイズ.
+ * @return {!Uint8Array}
+ */
+exports.records = function(size) {
+  var rand = random(3), data = new Uint8Array(size), i;
+
+  for (i = 0; i < size; ++i) {
+    switch (i & 15) {
+      case 0: case 1: case 2: case 3:
+        data[i] = (i >>> 4) >>> ((i & 3) * 8);
+        break;
+      case 4: case 5:
+        data[i] = rand() < 0.9 ? 0 : (rand() * 16) | 0;
+        break;
+      case 12: case 13: case 14: case 15:
+        data[i] = (rand() * 256) | 0;
+        break;
+      default:
+        data[i] = 0;
+        break;
+    }
+  }
+
+  return data;
+};
+
+/**
+ * 0 のみ
+ * @param {number} size 出力サイズ.
+ * @return {!Uint8Array}
+ */
+exports.zeros = function(size) {
+  return new Uint8Array(size);
+};
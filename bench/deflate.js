@@ -0,0 +1,54 @@
+/**
+ * @fileoverview RawDeflate の圧縮速度とサイズの計測.
+ *
+ * usage: node bench/deflate.js [root]
+ *   root を指定した場合はそのツリーのソースを計測する (変更前との比較用).
+ *   出力は zlib (node.js) で伸張して元のデータと一致するか確認する.
+ */
+
+var zlib = require('zlib');
+var data = require('./data.js');
+var Zlib = require('./load.js')(process.argv[2]);
+
+/** @const {number} 入力サイズ */
+var SIZE = 256 * 1024;
+
+/** @const {number} 計測回数 (最小値を採用する) */
+var RUNS = 3;
+
+/** @const {!Array.<string>} */
+var INPUTS = ['text', 'geometric', 'records', 'zeros'];
+
+/** @const {!Array.<?number>} null は level を指定しない */
+var LEVELS = [null, 1, 6, 9];
+
+INPUTS.forEach(function(name) {
+  var input = data[name](SIZE);
+
+  LEVELS.forEach(function(level) {
+    var option = level === null ? {} : {'level': level},
+        best = Infinity, output, start, i;
+
+    // 最初の 1 回は JIT のウォームアップとして数えない
+    for (i = 0; i <= RUNS; ++i) {
+      start = process.hrtime();
+      output = new Zlib.RawDeflate(option).compress(input);
+      start = process.hrtime(start);
+      if (i > 0) {
+        best = Math.min(best, start[0] * 1e3 + start[1] / 1e6);
+      }
+    }
+
+    if (Buffer.compare(
+          zlib.inflateRawSync(Buffer.from(output)), Buffer.from(input))) {
+      throw new Error(name + ' level ' + level + ': round trip failed');
+    }
+
+    console.log([
+      name,
+      'level=' + (level === null ? 'default' : level),
+      output.length + ' bytes',
+      best.toFixed(1) + ' ms'
+    ].join('\t'));
+  });
+});
@@ -0,0 +1,119 @@
+/**
+ * @fileoverview RawInflate のハフマン符号テーブルの比較.
+ * 符号長の最大値までの平坦なテーブル (root のビット数を最大符号長にする)
+ * と, root テーブルと副テーブルの二段のテーブルで伸張時間を比べる.
+ *
+ * usage: node bench/huffman.js [root]
+ *   平坦なテーブルはブロックごとに 2^最大符号長 個のエントリを埋めるため,
+ *   15 bit の符号を持つ小さな動的ハフマンブロックが多数続く入力で差が出る.
+ *   そのような入力は fibonacciBlocks を並び 1 つ (または数個) ごとに
+ *   Z_SYNC_FLUSH で区切って zlib (node.js) で圧縮して作る.
+ *   比較のため, memLevel でブロックの大きさを変えた通常の入力
+ *   (1 ブロックのシンボル数は最大 2^(memLevel + 6) 個) も計測する.
+ *   プロセスごとの揺れを避けるため, 2 つの方式を同じプロセスで交互に
+ *   計測して中央値を出力する.
+ */
+
+var zlib = require('zlib');
+var data = require('./data.js');
+var Zlib = require('./load.js')(process.argv[2]);
+
+/** @const {number} 入力サイズ */
+var SIZE = 1024 * 1024;
+
+/** @const {number} 計測回数 (中央値を採用する) */
+var RUNS = 21;
+
+/**
+ * [名前, 入力, zlib のオプション, ブロックの大きさ (省略時は zlib に任せる)]
+ * @const {!Array.<!Array>}
+ */
+var CASES = [
+  ['fibonacciBlocks huffman-only 1 chunk/block', 'fibonacciBlocks',
+    {strategy: zlib.constants.Z_HUFFMAN_ONLY}, data.FIBONACCI_CHUNK],
+  ['fibonacciBlocks huffman-only 4 chunks/block', 'fibonacciBlocks',
+    {strategy: zlib.constants.Z_HUFFMAN_ONLY}, data.FIBONACCI_CHUNK * 4],
+  ['fibonacci huffman-only memLevel=3', 'fibonacci',
+    {memLevel: 3, strategy: zlib.constants.Z_HUFFMAN_ONLY}],
+  ['fibonacci huffman-only memLevel=7', 'fibonacci',
+    {memLevel: 7, strategy: zlib.constants.Z_HUFFMAN_ONLY}],
+  ['geometric memLevel=4', 'geometric', {memLevel: 4}],
+  ['text memLevel=8', 'text', {memLevel: 8}],
+  ['records memLevel=8', 'records', {memLevel: 8}]
+];
+
+/** @const {!Object.<string, !Array.<number>>} [literal/length, distance] */
+var ROOT_BITS = {
+  'flat': [Zlib.Huffman.MaxCodeLength, Zlib.Huffman.MaxCodeLength],
+  'two-level': [
+    Zlib.RawInflate.LiteralLengthRootBits,
+    Zlib.RawInflate.DistanceRootBits
+  ]
+};
+
+/**
+ * @param {!Uint8Array} input
+ * @param {!Object} options zlib options.
+ * @param {number=} opt_blockSize 指定した場合はこの大きさごとに区切る.
+ * @return {!Uint8Array} deflate stream.
+ */
+function deflate(input, options, opt_blockSize) {
+  var parts = [], last, i;
+
+  if (!opt_blockSize) {
+    return new Uint8Array(zlib.deflateRawSync(input, options));
+  }
+
+  // 区切りごとに独立して圧縮し, 最後以外は BFINAL を立てずに連結する
+  for (i = 0; i < input.length; i += opt_blockSize) {
+    last = i + opt_blockSize >= input.length;
+    parts.push(zlib.deflateRawSync(
+      input.subarray(i, i + opt_blockSize),
+      Object.assign({
+        finishFlush: last ?
+          zlib.constants.Z_FINISH : zlib.constants.Z_SYNC_FLUSH
+      }, options)
+    ));
+  }
+
+  return new Uint8Array(Buffer.concat(parts));
+}
+
+/**
+ * @param {!Array.<number>} times
+ * @return {number} median.
+ */
+function median(times) {
+  return times.sort(function(a, b) { return a - b; })[times.length >> 1];
+}
+
+CASES.forEach(function(testCase) {
+  var input = data[testCase[1]](SIZE),
+      compressed = deflate(input, testCase[2], testCase[3]),
+      times = {'flat': [], 'two-level': []},
+      output, start, mode, i;
+
+  // 最初の 1 回は JIT のウォームアップとして数えない
+  for (i = 0; i <= RUNS; ++i) {
+    for (mode in times) {
+      Zlib.RawInflate.LiteralLengthRootBits = ROOT_BITS[mode][0];
+      Zlib.RawInflate.DistanceRootBits = ROOT_BITS[mode][1];
+      start = process.hrtime();
+      output = new Zlib.RawInflate(compressed).decompress();
+      start = process.hrtime(start);
+      if (i > 0) {
+        times[mode].push(start[0] * 1e3 + start[1] / 1e6);
+      }
+      if (Buffer.compare(Buffer.from(output), Buffer.from(input))) {
+        throw new Error(testCase[0] + ' ' + mode + ': round trip failed');
+      }
+    }
+  }
+
+  console.log([
+    testCase[0],
+    compressed.length + ' bytes',
+    'flat ' + median(times['flat']).toFixed(1) + ' ms',
+    'two-level ' + median(times['two-level']).toFixed(1) + ' ms'
+  ].join('\t'));
+});
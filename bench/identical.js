@@ -0,0 +1,79 @@
+/**
+ * @fileoverview RawDeflate の出力が別のツリーと同じか確認する.
+ *
+ * usage: node bench/identical.js reference [root]
+ *   オプションを指定しない (level なしの) RawDeflate の出力を, reference
+ *   のツリー (変更前のチェックアウトなど) の出力とバイト単位で比べる.
+ *   root を省略した場合はこのリポジトリと比べる. 一致しないものがあれば
+ *   終了コードが 1 になる.
+ *   ツリーはグローバルに読み込まれるので, それぞれ子プロセスで圧縮する.
+ */
+
+var childProcess = require('child_process');
+var crypto = require('crypto');
+var path = require('path');
+var data = require('./data.js');
+
+/** @const {!Array.<string>} */
+var INPUTS = ['text', 'geometric', 'fibonacci', 'records', 'zeros'];
+
+/** @const {!Array.<number>} */
+var SIZES = [100, 3000, 70000, 256 * 1024];
+
+/**
+ * 子プロセスで root のツリーを読み込み, 入力ごとの出力のサイズと
+ * ハッシュを返す.
+ * @param {string} root
+ * @return {!Object.<string, string>} 入力名 -> "サイズ ハッシュ".
+ */
+function digest(root) {
+  return JSON.parse(childProcess.execFileSync(
+    process.execPath, [__filename, '--digest', root], {encoding: 'utf8'}
+  ));
+}
+
+if (process.argv[2] === '--digest') {
+  (function() {
+    var Zlib = require('./load.js')(process.argv[3]),
+        result = {};
+
+    INPUTS.forEach(function(name) {
+      SIZES.forEach(function(size) {
+        var output = new Zlib.RawDeflate().compress(data[name](size));
+
+        result[name + ' ' + size] = output.length + ' ' +
+          crypto.createHash('sha1').update(Buffer.from(output)).digest('hex');
+      });
+    });
+
+    process.stdout.write(JSON.stringify(result));
+  })();
+} else {
+  (function() {
+    var reference, current, differs = 0;
+
+    if (!process.argv[2]) {
+      console.error('usage: node bench/identical.js reference [root]');
+      process.exit(2);
+    }
+
+    reference = digest(process.argv[2]);
+    current = digest(process.argv[3] || path.join(__dirname, '..'));
+
+    Object.keys(reference).forEach(function(key) {
+      var same = reference[key] === current[key];
+
+      if (!same) {
+        ++differs;
+      }
+      console.log([
+        key,
+        reference[key].split(' ')[0] + ' -> ' + current[key].split(' ')[0] +
+          ' bytes',
+        same ? 'identical' : 'DIFFERENT'
+      ].join('\t'));
+    });
+
+    process.exit(differs ? 1 : 0);
+  })();
+}
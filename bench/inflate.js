@@ -0,0 +1,57 @@
+/**
+ * @fileoverview RawInflate の伸張速度の計測.
+ *
+ * usage: node bench/inflate.js [root]
+ *   root を指定した場合はそのツリーのソースを計測する (変更前との比較用).
+ *   圧縮には zlib (node.js) を使い, memLevel でブロックの大きさを変える
+ *   (1 ブロックのシンボル数は最大 2^(memLevel + 6) 個).
+ */
+
+var zlib = require('zlib');
+var data = require('./data.js');
+var Zlib = require('./load.js')(process.argv[2]);
+
+/** @const {number} 入力サイズ */
+var SIZE = 1024 * 1024;
+
+/** @const {number} 計測回数 (中央値を採用する) */
+var RUNS = 21;
+
+/** @const {!Array.<string>} */
+var INPUTS = ['text', 'geometric', 'fibonacci', 'records', 'zeros'];
+
+/** @const {!Array.<number>} */
+var MEM_LEVELS = [2, 4, 8];
+
+INPUTS.forEach(function(name) {
+  var input = data[name](SIZE);
+
+  MEM_LEVELS.forEach(function(memLevel) {
+    var compressed = new Uint8Array(
+          zlib.deflateRawSync(input, {memLevel: memLevel})
+        ),
+        times = [], output, start, i;
+
+    // 最初の 1 回は JIT のウォームアップとして数えない
+    for (i = 0; i <= RUNS; ++i) {
+      start = process.hrtime();
+      output = new Zlib.RawInflate(compressed).decompress();
+      start = process.hrtime(start);
+      if (i > 0) {
+        times.push(start[0] * 1e3 + start[1] / 1e6);
+      }
+    }
+
+    if (Buffer.compare(Buffer.from(output), Buffer.from(input))) {
+      throw new Error(name + ' memLevel ' + memLevel + ': round trip failed');
+    }
+
+    console.log([
+      name,
+      'memLevel=' + memLevel,
+      compressed.length + ' bytes',
+      times.sort(function(a, b) { return a - b; })[RUNS >> 1].toFixed(1) +
+        ' ms'
+    ].join('\t'));
+  });
+});
@@ -0,0 +1,59 @@
+/**
+ * @fileoverview ベンチマーク用に src 以下のファイルを node.js に読み込む.
+ * 依存関係は src/deps.js から解決し, コンパイルせずにそのまま実行する.
+ */
+
+var fs = require('fs');
+var path = require('path');
+var vm = require('vm');
+
+/**
+ * ツリーのソースを依存関係の順に読み込む
+ * @param {string=} opt_root ツリーのルート. 省略時はこのリポジトリ.
+ * @return {Object} Zlib 名前空間.
+ */
+module.exports = function(opt_root) {
+  /** @type {string} */
+  var root = path.resolve(opt_root || path.join(__dirname, '..'));
+  /** @type {Object.<string, !Array.<string>>} ファイル名 -> 依存 */
+  var requires = {};
+  /** @type {Object.<string, string>} 名前空間 -> ファイル名 */
+  var provides = {};
+  /** @type {Object.<string, boolean>} */
+  var loaded = {};
+
+  function run(file) {
+    vm.runInThisContext(fs.readFileSync(file, 'utf8'), {filename: file});
+  }
+
+  function load(file) {
+    if (loaded[file]) {
+      return;
+    }
+    loaded[file] = true;
+    requires[file].forEach(function(name) {
+      load(provides[name]);
+    });
+    run(path.join(root, 'src', file));
+  }
+
+  fs.readFileSync(path.join(root, 'src', 'deps.js'), 'utf8').split('\n')
+    .forEach(function(line) {
+      var match = line.match(
+        /^goog\.addDependency\('[^']*\/(\w+\.js)', \[(.*?)\], \[(.*?)\]\);/
+      );
+      if (!match) {
+        return;
+      }
+      JSON.parse('[' + match[2].replace(/'/g, '"') + ']')
+        .forEach(function(name) { provides[name] = match[1]; });
+      requires[match[1]] = JSON.parse('[' + match[3].replace(/'/g, '"') + ']');
+    });
+
+  vm.runInThisContext('var CLOSURE_NO_DEPS = true;');
+  run(path.join(root, 'closure-primitives', 'base.js'));
+  run(path.join(root, 'define', 'typedarray', 'hybrid.js'));
+  Object.keys(requires).forEach(load);
+
+  return global.Zlib;
+};
@@ -30,6 +30,10 @@
 
 goog.provide('Zlib.Adler32');
 
+goog.require('Zlib.ParameterError');
+goog.require('Zlib.Util');
+goog.require('Zlib.ZlibError');
+
 goog.scope(function() {
 
 
@@ -57,12 +61,20 @@ Zlib.Adler32.update = function(adler, array) {
   /** @type {number} */
   var s2 = (adler >>> 16) & 0xffff;
   /** @type {number} array length */
-  var len = array.length;
+  var len;
   /** @type {number} loop length (don't overflow) */
   var tlen;
   /** @type {number} array index */
   var i = 0;
 
+  if (!array || typeof array.length !== 'number') {
+    throw new Zlib.ParameterError(
+      'invalid input: byte array is required',
+      Zlib.ZlibError.Code.INVALID_INPUT
+    );
+  }
+  len = array.length;
+
   while (len > 0) {
     tlen = len > Zlib.Adler32.OptimizationParameter ?
       Zlib.Adler32.OptimizationParameter : len;
@@ -134,6 +134,53 @@ function rev32_(n) {
           Zlib.BitStream.ReverseTable[n >>> 24 & 0xFF];
 }
 
+/**
+ * 書き込みが完了したバイトを取り出す.
+ * 端数のビットはバッファに残し, 続けて書き込みを行う事ができる.
+ * @return {!(Array|Uint8Array)} 書き込み済みの byte array.
+ */
+Zlib.BitStream.prototype.flush = function() {
+  var buffer = this.buffer;
+  var index = this.index;
+
+  /** @type {!(Array|Uint8Array)} output buffer */
+  var output =
+    new (USE_TYPEDARRAY ? Uint8Array : Array)(this.totalpos + index);
+  /** @type {number} output buffer pointer. */
+  var op;
+  /** @type {!(Array|Uint8Array)} block buffer. */
+  var block;
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limiter. */
+  var il;
+  /** @type {number} loop counter. */
+  var j;
+  /** @type {number} loop limiter. */
+  var jl;
+
+  // concat blocks
+  for (i = 0, il = this.blocks.length, op = 0; i < il; ++i) {
+    block = this.blocks[i];
+    for (j = 0, jl = block.length; j < jl; ++j) {
+      output[op++] = block[j];
+    }
+  }
+
+  // current
+  for (i = 0; i < index; ++i) {
+    output[op++] = buffer[i];
+  }
+
+  // 書きかけのバイトを先頭に移動する
+  buffer[0] = buffer[index];
+  this.index = 0;
+  this.blocks = [];
+  this.totalpos = 0;
+
+  return output;
+};
+
 /**
  * ストリームの終端処理を行う
  * @return {!(Array|Uint8Array)} 終端処理後のバッファを byte array で返す.
@@ -141,7 +188,8 @@ function rev32_(n) {
 Zlib.BitStream.prototype.finish = function() {
   var buffer = this.buffer;
   var index = this.index;
-  var limit = this.totalpos + index + 1;
+  /** @type {number} output length (端数ビットがあれば 1 byte 追加). */
+  var limit = this.totalpos + index + (this.bitindex > 0 ? 1 : 0);
 
   /** @type {!(Array|Uint8Array)} output buffer */
   var output = new (USE_TYPEDARRAY ? Uint8Array : Array)(limit);
@@ -172,7 +220,7 @@ Zlib.BitStream.prototype.finish = function() {
   }
 
   // current
-  for (i = 0; i <= index; ++i) {
+  for (i = 0; op < limit; ++i) {
     output[op++] = buffer[i];
   }
 
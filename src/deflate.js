@@ -40,15 +40,24 @@ var ZLIB_DEFLATE_EXPORT = false;
 
 goog.require('Zlib.Adler32');
 goog.require('Zlib.BitStream');
+goog.require('Zlib.ParameterError');
 goog.require('Zlib.RawDeflate');
 goog.require('Zlib.Util');
+goog.require('Zlib.ZlibError');
 
 goog.scope(function() {
 
 /**
  * Zlib Deflate
- * @param {{compressionType: Zlib.RawDeflate.CompressionType}=} opt_params
- *     parameters.
+ * @param {{
+ *     compressionType: Zlib.RawDeflate.CompressionType,
+ *     dictionary: (Array.<number>|Uint8Array|string|undefined),
+ *     windowBits: (number|undefined),
+ *     level: (number|undefined),
+ *     strategy: (Zlib.RawDeflate.Strategy|undefined),
+ *     optimal: (boolean|undefined),
+ *     iterations: (number|undefined)
+ * }=} opt_params parameters.
  * @constructor
  */
 Zlib.Deflate = function(opt_params) {
@@ -65,11 +74,47 @@ Zlib.Deflate = function(opt_params) {
    */
   this.compressionType = Zlib.RawDeflate.CompressionType.DYNAMIC;
 
+  /**
+   * プリセット辞書. 指定された場合は FDICT をセットして DICTID を出力する.
+   * @type {(Array.<number>|Uint8Array|string)}
+   */
+  this.dictionary = null;
+
+  /**
+   * LZ77 のウィンドウサイズの 2 を底とする対数. CINFO として出力する.
+   * @type {number}
+   */
+  this.windowBits = Zlib.RawDeflate.MaxWindowBits;
+
+  /**
+   * 圧縮レベル. 指定された場合は FLEVEL をレベルから決める.
+   * @type {?number}
+   */
+  this.level = null;
+
+  /**
+   * 圧縮の方針. HUFFMAN_ONLY, RLE, FIXED の場合は FLEVEL を 0 にする.
+   * @type {Zlib.RawDeflate.Strategy}
+   */
+  this.strategy = Zlib.RawDeflate.Strategy.DEFAULT;
+
   // option parameters
   if (typeof(opt_params) === 'object') {
     if (typeof(opt_params.compressionType) === 'number') {
       this.compressionType = opt_params.compressionType;
     }
+    if (opt_params['dictionary']) {
+      this.dictionary = opt_params['dictionary'];
+    }
+    if (typeof(opt_params['windowBits']) === 'number') {
+      this.windowBits = opt_params['windowBits'];
+    }
+    if (typeof(opt_params['level']) === 'number') {
+      this.level = opt_params['level'];
+    }
+    if (typeof(opt_params['strategy']) === 'number') {
+      this.strategy = opt_params['strategy'];
+    }
   }
 
   /**
@@ -89,7 +134,13 @@ var convertNetworkByteOrder = Zlib.Util.convertNetworkByteOrder;
  * 直接圧縮に掛ける
  * @param {!(Array|Uint8Array|string)} buffer Data.
  * @param {{
- *     compressionType: Zlib.RawDeflate.CompressionType
+ *     compressionType: Zlib.RawDeflate.CompressionType,
+ *     dictionary: (Array.<number>|Uint8Array|string|undefined),
+ *     windowBits: (number|undefined),
+ *     level: (number|undefined),
+ *     strategy: (Zlib.RawDeflate.Strategy|undefined),
+ *     optimal: (boolean|undefined),
+ *     iterations: (number|undefined)
  * }=} opt_params option parameters.
  * @return {!Array} compressed data byte array.
  */
@@ -103,51 +154,85 @@ Zlib.Deflate.compress = function(buffer, opt_params) {
  * @return {!Array} compressed data byte array.
  */
 Zlib.Deflate.prototype.compress = function(buffer) {
-  var cmf, flg, cm, cinfo, fcheck, fdict, flevel,
-      clevel, compressedData, adler, error = false, deflate;
+  var compressedData, adler, deflate;
+
+  // Adler-32 checksum
+  adler = convertNetworkByteOrder(Zlib.Adler32(buffer), 4);
+
+  // compressed data
+  compressedData = this.rawDeflate.compress(buffer);
+
+  // make zlib string
+  deflate = this.makeHeader();
+  push(deflate, compressedData);
+  push(deflate, adler);
+
+  return deflate;
+};
+
+/**
+ * Zlib ヘッダ (CMF, FLG, DICTID) の作成
+ * @return {!Array.<number>} header byte array.
+ */
+Zlib.Deflate.prototype.makeHeader = function() {
+  var cmf, flg, cm, cinfo, fcheck, fdict, flevel, header;
 
   // Compression Method and Flags
   cm = Zlib.CompressionMethod.DEFLATE;
   switch (cm) {
     case Zlib.CompressionMethod.DEFLATE:
-      cinfo = Math.LOG2E * Math.log(Zlib.RawDeflate.WindowSize) - 8;
+      cinfo = this.windowBits - 8;
       break;
     default:
-      throw 'invalid compression method';
+      throw new Zlib.ParameterError(
+        'invalid compression method',
+        Zlib.ZlibError.Code.INVALID_COMPRESSION_METHOD
+      );
   }
   cmf = (cinfo << 4) | cm;
 
   // Flags
-  fdict = 0;
+  fdict = this.dictionary ? 1 : 0;
   switch (cm) {
     case Zlib.CompressionMethod.DEFLATE:
-      switch (this.compressionType) {
-        case Zlib.RawDeflate.CompressionType.NONE: flevel = 0; break;
-        case Zlib.RawDeflate.CompressionType.FIXED: flevel = 1; break;
-        case Zlib.RawDeflate.CompressionType.DYNAMIC: flevel = 2; break;
-        default: throw 'unsupported compression type';
+      // zlib と同じく HUFFMAN_ONLY, RLE, FIXED は fastest とする
+      if (this.strategy === Zlib.RawDeflate.Strategy.HUFFMAN_ONLY ||
+          this.strategy === Zlib.RawDeflate.Strategy.RLE ||
+          this.strategy === Zlib.RawDeflate.Strategy.FIXED) {
+        flevel = 0;
+      } else if (this.level !== null) {
+        // zlib と同じく 0-1: fastest, 2-5: fast, 6: default, 7-9: maximum
+        flevel = this.level < 2 ? 0 : this.level < 6 ? 1 :
+          this.level === 6 ? 2 : 3;
+      } else {
+        switch (this.compressionType) {
+          case Zlib.RawDeflate.CompressionType.NONE: flevel = 0; break;
+          case Zlib.RawDeflate.CompressionType.FIXED: flevel = 1; break;
+          case Zlib.RawDeflate.CompressionType.DYNAMIC: flevel = 2; break;
+          default:
+            throw new Zlib.ParameterError(
+              'unsupported compression type',
+              Zlib.ZlibError.Code.INVALID_COMPRESSION_TYPE
+            );
+        }
       }
       break;
     default:
-      throw 'invalid compression method';
+      throw new Zlib.ParameterError(
+        'invalid compression method',
+        Zlib.ZlibError.Code.INVALID_COMPRESSION_METHOD
+      );
   }
   flg = (flevel << 6) | (fdict << 5);
   fcheck = 31 - (cmf * 256 + flg) % 31;
   flg |= fcheck;
 
-  // Adler-32 checksum
-  adler = convertNetworkByteOrder(Zlib.Adler32(buffer), 4);
-
-  // compressed data
-  compressedData = this.rawDeflate.compress(buffer);
-
-  // make zlib string
-  deflate = [];
-  deflate.push(cmf, flg);
-  push(deflate, compressedData);
-  push(deflate, adler);
+  header = [cmf, flg];
+  if (fdict) {
+    push(header, convertNetworkByteOrder(Zlib.Adler32(this.dictionary), 4));
+  }
 
-  return deflate;
+  return header;
 };
 
 //*****************************************************************************
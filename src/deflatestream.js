@@ -0,0 +1,246 @@
+/**
+ * deflatestream.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview 入力を分割して受け取る Zlib (RFC1950) 符号化実装.
+ * Deflate の符号化は Zlib.RawDeflateStream で実装されている.
+ */
+
+goog.provide('Zlib.DeflateStream');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_DEFLATE_STREAM_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.Adler32');
+goog.require('Zlib.Deflate');
+goog.require('Zlib.RawDeflateStream');
+goog.require('Zlib.Util');
+
+goog.scope(function() {
+
+/**
+ * Zlib Deflate ストリーム
+ * @param {Object=} opt_params option parameters.
+ *
+ * opt_params には Zlib.Deflate のオプションに加えて以下のプロパティを
+ * 指定する事ができます。
+ *   - blockSize: 1 ブロックとして符号化する入力のサイズ.
+ * @constructor
+ */
+Zlib.DeflateStream = function(opt_params) {
+  /**
+   * 圧縮タイプ(非圧縮, 固定ハフマン符号, 動的ハフマン符号)
+   * @type {Zlib.RawDeflate.CompressionType}
+   */
+  this.compressionType = Zlib.RawDeflate.CompressionType.DYNAMIC;
+
+  /**
+   * プリセット辞書. 指定された場合は FDICT をセットして DICTID を出力する.
+   * @type {(Array.<number>|Uint8Array|string)}
+   */
+  this.dictionary = null;
+
+  /**
+   * ウィンドウサイズ (zlib の windowBits). ヘッダの CINFO は windowBits - 8.
+   * @type {number}
+   */
+  this.windowBits = Zlib.RawDeflate.MaxWindowBits;
+
+  /**
+   * 圧縮レベル (0-9). ヘッダの FLEVEL に反映する.
+   * @type {?number}
+   */
+  this.level = null;
+
+  /**
+   * 圧縮の方針. ヘッダの FLEVEL に反映する.
+   * @type {Zlib.RawDeflate.Strategy}
+   */
+  this.strategy = Zlib.RawDeflate.Strategy.DEFAULT;
+
+  /**
+   * 入力の Adler-32 チェックサム
+   * @type {number}
+   */
+  this.adler32 = 1;
+
+  /**
+   * まだ出力していない Zlib ヘッダ
+   * @type {Array.<number>}
+   */
+  this.header;
+
+  // option parameters
+  if (typeof(opt_params) === 'object') {
+    if (typeof(opt_params.compressionType) === 'number') {
+      this.compressionType = opt_params.compressionType;
+    }
+    if (opt_params['dictionary']) {
+      this.dictionary = opt_params['dictionary'];
+    }
+    if (typeof(opt_params['windowBits']) === 'number') {
+      this.windowBits = opt_params['windowBits'];
+    }
+    if (typeof(opt_params['level']) === 'number') {
+      this.level = opt_params['level'];
+    }
+    if (typeof(opt_params['strategy']) === 'number') {
+      this.strategy = opt_params['strategy'];
+    }
+  }
+
+  /**
+   * Deflate ストリーム実装
+   * @type {!Zlib.RawDeflateStream}
+   */
+  this.rawDeflate = new Zlib.RawDeflateStream(opt_params);
+
+  this.header = this.makeHeader();
+};
+
+// Zlib.Util のエイリアス
+var convertNetworkByteOrder = Zlib.Util.convertNetworkByteOrder;
+
+/**
+ * 入力を追加し, 符号化の済んだ部分を出力する
+ * @param {!(Array.<number>|Uint8Array|string)} data plain data byte array /
+ *     byte string.
+ * @param {Zlib.RawDeflateStream.FlushMode=} opt_flush flush mode.
+ * @return {!(Array|Uint8Array)} compressed data byte array.
+ */
+Zlib.DeflateStream.prototype.push = function(data, opt_flush) {
+  /** @type {!(Array|Uint8Array)} */
+  var compressedData;
+
+  // バッファが string だったら byte array に変換
+  if (typeof(data) === 'string') {
+    data = Zlib.Util.stringToByteArray(data);
+  }
+
+  compressedData = this.rawDeflate.push(data, opt_flush);
+
+  // push が例外を投げた場合はチェックサムに含めない
+  this.adler32 = Zlib.Adler32.update(this.adler32, data);
+
+  return this.prependHeader(compressedData);
+};
+
+/**
+ * 残りの入力を符号化し, Adler-32 チェックサムを出力する
+ * @return {!(Array|Uint8Array)} compressed data byte array.
+ */
+Zlib.DeflateStream.prototype.finish = function() {
+  /** @type {!(Array|Uint8Array)} */
+  var compressedData = this.prependHeader(this.rawDeflate.finish());
+  /** @type {!Array.<number>} */
+  var adler = convertNetworkByteOrder(this.adler32, 4);
+  /** @type {!(Array|Uint8Array)} */
+  var output = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+    compressedData.length + adler.length
+  );
+  /** @type {number} */
+  var i;
+  /** @type {number} */
+  var il;
+
+  if (USE_TYPEDARRAY) {
+    output.set(compressedData);
+    output.set(adler, compressedData.length);
+  } else {
+    for (i = 0, il = compressedData.length; i < il; ++i) {
+      output[i] = compressedData[i];
+    }
+    for (i = 0, il = adler.length; i < il; ++i) {
+      output[compressedData.length + i] = adler[i];
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Zlib ヘッダがまだ出力されていなければ先頭に付加する
+ * @param {!(Array|Uint8Array)} data compressed data byte array.
+ * @return {!(Array|Uint8Array)} compressed data byte array.
+ */
+Zlib.DeflateStream.prototype.prependHeader = function(data) {
+  /** @type {Array.<number>} */
+  var header = this.header;
+  /** @type {!(Array|Uint8Array)} */
+  var output;
+  /** @type {number} */
+  var i;
+  /** @type {number} */
+  var il;
+
+  if (!header) {
+    return data;
+  }
+  this.header = null;
+
+  if (USE_TYPEDARRAY) {
+    output = new Uint8Array(header.length + data.length);
+    output.set(header);
+    output.set(data, header.length);
+  } else {
+    output = header;
+    for (i = 0, il = data.length; i < il; ++i) {
+      output.push(data[i]);
+    }
+  }
+
+  return output;
+};
+
+/**
+ * Zlib ヘッダ (CMF, FLG, DICTID) の作成
+ * @return {!Array.<number>} header byte array.
+ */
+Zlib.DeflateStream.prototype.makeHeader = Zlib.Deflate.prototype.makeHeader;
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_DEFLATE_STREAM_EXPORT) {
+  goog.exportSymbol('Zlib.DeflateStream', Zlib.DeflateStream);
+  goog.exportSymbol(
+    'Zlib.DeflateStream.prototype.push',
+    Zlib.DeflateStream.prototype.push
+  );
+  goog.exportSymbol(
+    'Zlib.DeflateStream.prototype.finish',
+    Zlib.DeflateStream.prototype.finish
+  );
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
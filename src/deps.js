@@ -1,10 +1,19 @@
 // This file was autogenerated by .././vendor/google-closure-library/closure/bin/build/depswriter.py.
 // Please do not edit.
-goog.addDependency('../../../../src/adler32.js', ['Zlib.Adler32'], []);
+goog.addDependency('../../../../src/adler32.js', ['Zlib.Adler32'], ['Zlib.ParameterError', 'Zlib.Util', 'Zlib.ZlibError']);
 goog.addDependency('../../../../src/bitstream.js', ['Zlib.BitStream'], []);
-goog.addDependency('../../../../src/deflate.js', ['Zlib.Deflate'], ['Zlib.Adler32', 'Zlib.BitStream', 'Zlib.RawDeflate', 'Zlib.Util']);
+goog.addDependency('../../../../src/deflate.js', ['Zlib.Deflate'], ['Zlib.Adler32', 'Zlib.BitStream', 'Zlib.ParameterError', 'Zlib.RawDeflate', 'Zlib.Util', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/deflatestream.js', ['Zlib.DeflateStream'], ['Zlib.Adler32', 'Zlib.Deflate', 'Zlib.RawDeflateStream', 'Zlib.Util']);
+goog.addDependency('../../../../src/error.js', ['Zlib.ZlibError', 'Zlib.HeaderError', 'Zlib.DataError', 'Zlib.ChecksumError', 'Zlib.BufferError', 'Zlib.ParameterError'], []);
 goog.addDependency('../../../../src/heap.js', ['Zlib.Heap'], []);
-goog.addDependency('../../../../src/inflate.js', ['Zlib.Inflate'], ['Zlib.Adler32']);
-goog.addDependency('../../../../src/rawdeflate.js', ['Zlib.RawDeflate'], ['Zlib.BitStream', 'Zlib.Heap', 'Zlib.Util']);
+goog.addDependency('../../../../src/huffman.js', ['Zlib.Huffman'], ['Zlib.DataError', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/inflate.js', ['Zlib.Inflate'], ['Zlib.Adler32', 'Zlib.BufferError', 'Zlib.ChecksumError', 'Zlib.HeaderError', 'Zlib.RawInflate', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/inflateindex.js', ['Zlib.InflateIndex'], ['Zlib.Inflate', 'Zlib.ParameterError', 'Zlib.RawInflate', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/inflateinspector.js', ['Zlib.InflateInspector'], ['Zlib.Huffman', 'Zlib.Inflate', 'Zlib.RawInflate']);
+goog.addDependency('../../../../src/inflatestream.js', ['Zlib.InflateStream'], ['Zlib.Adler32', 'Zlib.BufferError', 'Zlib.ChecksumError', 'Zlib.HeaderError', 'Zlib.RawInflateStream', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/rawdeflate.js', ['Zlib.RawDeflate'], ['Zlib.BitStream', 'Zlib.Heap', 'Zlib.ParameterError', 'Zlib.Util', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/rawdeflatestream.js', ['Zlib.RawDeflateStream'], ['Zlib.BitStream', 'Zlib.ParameterError', 'Zlib.RawDeflate', 'Zlib.Util', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/rawinflate.js', ['Zlib.RawInflate'], ['Zlib.BufferError', 'Zlib.DataError', 'Zlib.Huffman', 'Zlib.ParameterError', 'Zlib.ZlibError']);
+goog.addDependency('../../../../src/rawinflatestream.js', ['Zlib.RawInflateStream'], ['Zlib.BufferError', 'Zlib.DataError', 'Zlib.Huffman', 'Zlib.ParameterError', 'Zlib.RawInflate', 'Zlib.ZlibError']);
 goog.addDependency('../../../../src/util.js', ['Zlib.Util'], []);
 goog.addDependency('../../../../src/zlib.js', ['Zlib'], ['Zlib.Deflate', 'Zlib.Inflate']);
@@ -0,0 +1,391 @@
+/**
+ * error.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview zlib.js が投げる例外.
+ * 全て Zlib.ZlibError を継承し, 種類ごとに安定した数値のエラーコードを持つ.
+ */
+
+goog.provide('Zlib.ZlibError');
+goog.provide('Zlib.HeaderError');
+goog.provide('Zlib.DataError');
+goog.provide('Zlib.ChecksumError');
+goog.provide('Zlib.BufferError');
+goog.provide('Zlib.ParameterError');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_ERROR_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.scope(function() {
+
+/**
+ * zlib.js の例外の基底クラス.
+ * 位置が分からない場合 inputPosition, bitPosition, outputLength は null.
+ * @param {string} message error message.
+ * @param {Zlib.ZlibError.Code} code error code.
+ * @param {?number=} opt_inputPosition input byte position.
+ * @param {?number=} opt_bitPosition bit position in the input byte.
+ * @param {?number=} opt_outputLength output length produced so far.
+ * @constructor
+ * @extends {Error}
+ */
+Zlib.ZlibError = function(
+  message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+) {
+  /** @type {string} */
+  this.message = message;
+  /** @type {(string|undefined)} */
+  this.stack = (new Error(message)).stack;
+  /**
+   * @expose
+   * @type {Zlib.ZlibError.Code}
+   */
+  this.code = code;
+  /**
+   * @expose
+   * @type {?number}
+   */
+  this.inputPosition =
+    typeof opt_inputPosition === 'number' ? opt_inputPosition : null;
+  /**
+   * @expose
+   * @type {?number}
+   */
+  this.bitPosition =
+    typeof opt_bitPosition === 'number' ? opt_bitPosition : null;
+  /**
+   * @expose
+   * @type {?number}
+   */
+  this.outputLength =
+    typeof opt_outputLength === 'number' ? opt_outputLength : null;
+};
+goog.inherits(Zlib.ZlibError, Error);
+
+/** @type {string} */
+Zlib.ZlibError.prototype.name = 'ZlibError';
+
+/**
+ * 入力と出力の位置を設定する (未設定の場合のみ).
+ * @param {number} inputPosition input byte position.
+ * @param {number} bitPosition bit position in the input byte.
+ * @param {number} outputLength output length produced so far.
+ * @return {!Zlib.ZlibError} this error.
+ */
+Zlib.ZlibError.prototype.setPosition =
+function(inputPosition, bitPosition, outputLength) {
+  if (this.inputPosition === null) {
+    this.inputPosition = inputPosition;
+    this.bitPosition = bitPosition;
+  }
+  if (this.outputLength === null) {
+    this.outputLength = outputLength;
+  }
+
+  return this;
+};
+
+/**
+ * 入力の破損 (不正な値, 途中で途切れた入力) によるエラーか.
+ * 出力サイズの上限やパラメータの誤りによるエラーは含まない.
+ * @return {boolean} true if the input is corrupted.
+ */
+Zlib.ZlibError.prototype.isCorruptInput = function() {
+  return this.code < 400 || this.code === Zlib.ZlibError.Code.TRUNCATED_INPUT;
+};
+
+/**
+ * error codes.
+ * 上位の桁が例外の種類を表す.
+ * @enum {number}
+ */
+Zlib.ZlibError.Code = {
+  // header error
+  UNSUPPORTED_COMPRESSION_METHOD: 101,
+  INVALID_WINDOW_SIZE: 102,
+  INVALID_FCHECK: 103,
+  DICTIONARY_REQUIRED: 104,
+  INVALID_DICTIONARY: 105,
+  // data error
+  INVALID_BLOCK_TYPE: 201,
+  INVALID_STORED_LENGTH: 202,
+  INVALID_CODE_LENGTHS: 203,
+  INVALID_CODE: 204,
+  INVALID_DISTANCE: 205,
+  // checksum error
+  INVALID_ADLER32: 301,
+  // buffer error
+  TRUNCATED_INPUT: 401,
+  OUTPUT_LIMIT: 402,
+  OUTPUT_BUFFER_FULL: 403,
+  // parameter error
+  INVALID_COMPRESSION_TYPE: 501,
+  INVALID_COMPRESSION_METHOD: 502,
+  INVALID_BUFFER_TYPE: 503,
+  INVALID_FLUSH_MODE: 504,
+  INVALID_INPUT: 505,
+  STREAM_FINISHED: 506,
+  INVALID_OUTPUT_BUFFER: 507,
+  INVALID_WINDOW_BITS: 508,
+  INVALID_LEVEL: 509,
+  INVALID_STRATEGY: 510,
+  UNSUPPORTED_OPTION: 511,
+  // internal error
+  INTERNAL: 901
+};
+
+/**
+ * zlib ヘッダが不正.
+ * @param {string} message error message.
+ * @param {Zlib.ZlibError.Code} code error code.
+ * @param {?number=} opt_inputPosition input byte position.
+ * @param {?number=} opt_bitPosition bit position in the input byte.
+ * @param {?number=} opt_outputLength output length produced so far.
+ * @constructor
+ * @extends {Zlib.ZlibError}
+ */
+Zlib.HeaderError = function(
+  message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+) {
+  Zlib.ZlibError.call(
+    this, message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+  );
+};
+goog.inherits(Zlib.HeaderError, Zlib.ZlibError);
+
+/** @type {string} */
+Zlib.HeaderError.prototype.name = 'HeaderError';
+
+/**
+ * 圧縮データが不正.
+ * @param {string} message error message.
+ * @param {Zlib.ZlibError.Code} code error code.
+ * @param {?number=} opt_inputPosition input byte position.
+ * @param {?number=} opt_bitPosition bit position in the input byte.
+ * @param {?number=} opt_outputLength output length produced so far.
+ * @constructor
+ * @extends {Zlib.ZlibError}
+ */
+Zlib.DataError = function(
+  message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+) {
+  Zlib.ZlibError.call(
+    this, message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+  );
+};
+goog.inherits(Zlib.DataError, Zlib.ZlibError);
+
+/** @type {string} */
+Zlib.DataError.prototype.name = 'DataError';
+
+/**
+ * チェックサムが一致しない.
+ * @param {string} message error message.
+ * @param {Zlib.ZlibError.Code} code error code.
+ * @param {?number=} opt_inputPosition input byte position.
+ * @param {?number=} opt_bitPosition bit position in the input byte.
+ * @param {?number=} opt_outputLength output length produced so far.
+ * @constructor
+ * @extends {Zlib.ZlibError}
+ */
+Zlib.ChecksumError = function(
+  message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+) {
+  Zlib.ZlibError.call(
+    this, message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+  );
+};
+goog.inherits(Zlib.ChecksumError, Zlib.ZlibError);
+
+/** @type {string} */
+Zlib.ChecksumError.prototype.name = 'ChecksumError';
+
+/**
+ * 入力が途中で終わっている, または出力が上限を超える.
+ * @param {string} message error message.
+ * @param {Zlib.ZlibError.Code} code error code.
+ * @param {?number=} opt_inputPosition input byte position.
+ * @param {?number=} opt_bitPosition bit position in the input byte.
+ * @param {?number=} opt_outputLength output length produced so far.
+ * @constructor
+ * @extends {Zlib.ZlibError}
+ */
+Zlib.BufferError = function(
+  message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+) {
+  Zlib.ZlibError.call(
+    this, message, code, opt_inputPosition, opt_bitPosition, opt_outputLength
+  );
+};
+goog.inherits(Zlib.BufferError, Zlib.ZlibError);
+
+/** @type {string} */
+Zlib.BufferError.prototype.name = 'BufferError';
+
+/**
+ * 引数やオプションが不正.
+ * @param {string} message error message.
+ * @param {Zlib.ZlibError.Code} code error code.
+ * @constructor
+ * @extends {Zlib.ZlibError}
+ */
+Zlib.ParameterError = function(message, code) {
+  Zlib.ZlibError.call(this, message, code);
+};
+goog.inherits(Zlib.ParameterError, Zlib.ZlibError);
+
+/** @type {string} */
+Zlib.ParameterError.prototype.name = 'ParameterError';
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_ERROR_EXPORT) {
+  goog.exportSymbol('Zlib.ZlibError', Zlib.ZlibError);
+  goog.exportSymbol(
+    'Zlib.ZlibError.prototype.isCorruptInput',
+    Zlib.ZlibError.prototype.isCorruptInput
+  );
+  goog.exportSymbol('Zlib.ZlibError.Code', Zlib.ZlibError.Code);
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.UNSUPPORTED_COMPRESSION_METHOD',
+    Zlib.ZlibError.Code.UNSUPPORTED_COMPRESSION_METHOD
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_WINDOW_SIZE',
+    Zlib.ZlibError.Code.INVALID_WINDOW_SIZE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_FCHECK',
+    Zlib.ZlibError.Code.INVALID_FCHECK
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.DICTIONARY_REQUIRED',
+    Zlib.ZlibError.Code.DICTIONARY_REQUIRED
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_DICTIONARY',
+    Zlib.ZlibError.Code.INVALID_DICTIONARY
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_BLOCK_TYPE',
+    Zlib.ZlibError.Code.INVALID_BLOCK_TYPE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_STORED_LENGTH',
+    Zlib.ZlibError.Code.INVALID_STORED_LENGTH
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_CODE_LENGTHS',
+    Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_CODE',
+    Zlib.ZlibError.Code.INVALID_CODE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_DISTANCE',
+    Zlib.ZlibError.Code.INVALID_DISTANCE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_ADLER32',
+    Zlib.ZlibError.Code.INVALID_ADLER32
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.TRUNCATED_INPUT',
+    Zlib.ZlibError.Code.TRUNCATED_INPUT
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.OUTPUT_LIMIT',
+    Zlib.ZlibError.Code.OUTPUT_LIMIT
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.OUTPUT_BUFFER_FULL',
+    Zlib.ZlibError.Code.OUTPUT_BUFFER_FULL
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_COMPRESSION_TYPE',
+    Zlib.ZlibError.Code.INVALID_COMPRESSION_TYPE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_COMPRESSION_METHOD',
+    Zlib.ZlibError.Code.INVALID_COMPRESSION_METHOD
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_BUFFER_TYPE',
+    Zlib.ZlibError.Code.INVALID_BUFFER_TYPE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_FLUSH_MODE',
+    Zlib.ZlibError.Code.INVALID_FLUSH_MODE
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_INPUT',
+    Zlib.ZlibError.Code.INVALID_INPUT
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.STREAM_FINISHED',
+    Zlib.ZlibError.Code.STREAM_FINISHED
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_OUTPUT_BUFFER',
+    Zlib.ZlibError.Code.INVALID_OUTPUT_BUFFER
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_WINDOW_BITS',
+    Zlib.ZlibError.Code.INVALID_WINDOW_BITS
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_LEVEL',
+    Zlib.ZlibError.Code.INVALID_LEVEL
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INVALID_STRATEGY',
+    Zlib.ZlibError.Code.INVALID_STRATEGY
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.UNSUPPORTED_OPTION',
+    Zlib.ZlibError.Code.UNSUPPORTED_OPTION
+  );
+  goog.exportSymbol(
+    'Zlib.ZlibError.Code.INTERNAL',
+    Zlib.ZlibError.Code.INTERNAL
+  );
+  goog.exportSymbol('Zlib.HeaderError', Zlib.HeaderError);
+  goog.exportSymbol('Zlib.DataError', Zlib.DataError);
+  goog.exportSymbol('Zlib.ChecksumError', Zlib.ChecksumError);
+  goog.exportSymbol('Zlib.BufferError', Zlib.BufferError);
+  goog.exportSymbol('Zlib.ParameterError', Zlib.ParameterError);
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
@@ -38,7 +38,7 @@ goog.scope(function() {
  * @constructor
  */
 Zlib.Heap = function(length) {
-  this.buffer = new (USE_TYPEDARRAY ? Uint16Array : Array)(length * 2);
+  this.buffer = new (USE_TYPEDARRAY ? Uint32Array : Array)(length * 2);
   this.length = 0;
 };
 
@@ -81,7 +81,7 @@ Zlib.Heap.prototype.push = function(index, value) {
     parent = this.getParent(current);
 
     // 親ノードと比較して親の方が大きければ値と index を入れ替える
-    if (heap[current + 1] < heap[parent + 1]) {
+    if (heap[current] < heap[parent]) {
       swap = heap[current];
       heap[current] = heap[parent];
       heap[parent] = swap;
@@ -129,12 +129,12 @@ Zlib.Heap.prototype.pop = function() {
     }
 
     // 隣のノードと比較して、隣の方が値が小さければ隣を現在ノードとして選択
-    if (current + 2 < this.length && heap[current + 3] < heap[current + 1]) {
+    if (current + 2 < this.length && heap[current + 2] < heap[current]) {
       current += 2;
     }
 
     // 親ノードと比較して親の方が大きい場合は入れ替える
-    if (heap[parent + 1] > heap[current + 1]) {
+    if (heap[parent] > heap[current]) {
       swap = heap[parent];
       heap[parent] = heap[current];
       heap[current] = swap;
@@ -0,0 +1,273 @@
+/**
+ * huffman.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview Inflate で使用するハフマン符号テーブルの構築.
+ */
+
+goog.provide('Zlib.Huffman');
+
+goog.require('Zlib.DataError');
+goog.require('Zlib.ZlibError');
+
+goog.scope(function() {
+
+/**
+ * module Zlib.Huffman
+ */
+Zlib.Huffman = {};
+
+/**
+ * 符号長の最大値 (RFC1951).
+ * これより長い符号長を持つエントリは副テーブルへのリンクを表す.
+ * @const {number}
+ */
+Zlib.Huffman.MaxCodeLength = 15;
+
+/**
+ * build huffman table from length list.
+ *
+ * テーブルのエントリは (符号長 << 16) | シンボル の形式.
+ * opt_rootBits を指定すると, 先頭 2^rootBits 個のエントリを root テーブル
+ * とし, それより長い符号は root テーブルの後ろに置いた副テーブルで引く
+ * 二段のテーブルを作成する. 副テーブルへのリンクは
+ * ((0x10 | 副テーブルのビット数) << 16) | 副テーブルの開始位置 の形式で,
+ * 副テーブルのエントリの符号長は root 分を含めた全体の長さになる.
+ * @param {!(Array.<number>|Uint8Array)} lengths length list.
+ * @param {boolean=} opt_strict reject over-subscribed or incomplete code.
+ * @param {number=} opt_rootBits root table bits.
+ * @return {!Array} huffman table
+ *     [table, maxCodeLength, minCodeLength, rootBits].
+ */
+Zlib.Huffman.buildHuffmanTable = function(lengths, opt_strict, opt_rootBits) {
+  /** @type {number} length list size. */
+  var listSize = lengths.length;
+  /** @type {number} max code length for table size. */
+  var maxCodeLength = 0;
+  /** @type {number} min code length for table size. */
+  var minCodeLength = Number.POSITIVE_INFINITY;
+  /** @type {number} root table bits. */
+  var rootBits;
+  /** @type {number} root table size. */
+  var rootSize;
+  /** @type {number} table size. */
+  var size;
+  /** @type {!(Array|Uint32Array)} huffman code table. */
+  var table;
+  /** @type {(Array|Uint16Array)} reversed code of each symbol. */
+  var codes = null;
+  /** @type {!(Array|Uint16Array)} next code of each bit length. */
+  var nextCode;
+  /** @type {(Array|Uint8Array)} sub table bits of each root entry. */
+  var subBits = null;
+  /** @type {(Array|Uint16Array)} sub table position of each root entry. */
+  var subStart = null;
+  /** @type {number} bit length. */
+  var bitLength;
+  /** @type {number} huffman code. */
+  var code;
+  /**
+   * サイズが 2^maxlength 個のテーブルを埋めるためのスキップ長.
+   * @type {number} skip length for table filling.
+   */
+  var skip;
+  /** @type {number} table filling limit. */
+  var end;
+  /** @type {number} root table index. */
+  var root;
+  /** @type {number} reversed code. */
+  var reversed;
+  /** @type {number} reverse temp. */
+  var rtemp;
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limit. */
+  var il;
+  /** @type {number} loop counter. */
+  var j;
+
+  // Math.max は遅いので最長の値は for-loop で取得する
+  for (i = 0, il = listSize; i < il; ++i) {
+    if (lengths[i] > maxCodeLength) {
+      maxCodeLength = lengths[i];
+    }
+    if (lengths[i] < minCodeLength) {
+      minCodeLength = lengths[i];
+    }
+  }
+
+  if (opt_strict) {
+    Zlib.Huffman.checkLengths(lengths, maxCodeLength);
+  }
+
+  rootBits =
+    typeof opt_rootBits === 'number' && opt_rootBits < maxCodeLength ?
+      opt_rootBits : maxCodeLength;
+  rootSize = 1 << rootBits;
+
+  // ビット長ごとの最初の符号を求める (RFC1951 3.2.2)
+  nextCode = new (USE_TYPEDARRAY ? Uint16Array : Array)(maxCodeLength + 2);
+  for (i = 0; i < maxCodeLength + 2; ++i) {
+    nextCode[i] = 0;
+  }
+  for (i = 0; i < listSize; ++i) {
+    if (lengths[i]) {
+      nextCode[lengths[i] + 1]++;
+    }
+  }
+  for (bitLength = 1, code = 0; bitLength <= maxCodeLength; ++bitLength) {
+    code = (code + nextCode[bitLength]) << 1;
+    nextCode[bitLength] = code;
+  }
+
+  // 副テーブルが必要な場合は先に符号を割り当てて副テーブルの大きさを求め,
+  // root テーブルの後ろに配置する (ビット長が同じものはシンボル順)
+  size = rootSize;
+  if (rootBits < maxCodeLength) {
+    codes = new (USE_TYPEDARRAY ? Uint16Array : Array)(listSize);
+    subBits = new (USE_TYPEDARRAY ? Uint8Array : Array)(rootSize);
+    subStart = new (USE_TYPEDARRAY ? Uint16Array : Array)(rootSize);
+
+    for (i = 0; i < listSize; ++i) {
+      bitLength = lengths[i];
+      if (!bitLength) {
+        continue;
+      }
+
+      // ビットオーダーが逆になるためビット長分並びを反転する
+      for (reversed = 0, rtemp = nextCode[bitLength]++, j = 0; j < bitLength;
+           ++j) {
+        reversed = (reversed << 1) | (rtemp & 1);
+        rtemp >>= 1;
+      }
+      codes[i] = reversed;
+
+      // 副テーブルのビット数は同じ root を持つ最長の符号で決まる
+      root = reversed & (rootSize - 1);
+      if (bitLength > rootBits && !(subBits[root] >= bitLength - rootBits)) {
+        subBits[root] = bitLength - rootBits;
+      }
+    }
+
+    for (i = 0; i < rootSize; ++i) {
+      if (subBits[i] > 0) {
+        subStart[i] = size;
+        size += 1 << subBits[i];
+      }
+    }
+  }
+  table = new (USE_TYPEDARRAY ? Uint32Array : Array)(size);
+
+  for (i = 0; i < listSize; ++i) {
+    bitLength = lengths[i];
+    if (!bitLength) {
+      continue;
+    }
+
+    if (codes) {
+      reversed = codes[i];
+    } else {
+      // ビットオーダーが逆になるためビット長分並びを反転する
+      for (reversed = 0, rtemp = nextCode[bitLength]++, j = 0; j < bitLength;
+           ++j) {
+        reversed = (reversed << 1) | (rtemp & 1);
+        rtemp >>= 1;
+      }
+    }
+
+    // 最大ビット長をもとにテーブルを作るため、
+    // 最大ビット長以外では 0 / 1 どちらでも良い箇所ができる
+    // そのどちらでも良い場所は同じ値で埋めることで
+    // 本来のビット長以上のビット数取得しても問題が起こらないようにする
+    if (bitLength <= rootBits) {
+      j = reversed;
+      skip = 1 << bitLength;
+      end = rootSize;
+    } else {
+      root = reversed & (rootSize - 1);
+      table[root] = ((0x10 | subBits[root]) << 16) | subStart[root];
+      j = subStart[root] + (reversed >>> rootBits);
+      skip = 1 << (bitLength - rootBits);
+      end = subStart[root] + (1 << subBits[root]);
+    }
+    for (; j < end; j += skip) {
+      table[j] = (bitLength << 16) | i;
+    }
+  }
+
+  return [table, maxCodeLength, minCodeLength, rootBits];
+};
+
+/**
+ * 符号長のリストが完全な (過不足のない) 符号になっているか検査する.
+ * 符号がない場合と, 1 bit の符号が 1 つだけの場合は不完全でも許される.
+ * @param {!(Array.<number>|Uint8Array)} lengths length list.
+ * @param {number} maxCodeLength max code length.
+ */
+Zlib.Huffman.checkLengths = function(lengths, maxCodeLength) {
+  /** @type {!(Array.<number>|Uint16Array)} number of codes of each length. */
+  var count = new (USE_TYPEDARRAY ? Uint16Array : Array)(maxCodeLength + 1);
+  /** @type {number} number of codes left in the current length. */
+  var left = 1;
+  /** @type {number} number of codes. */
+  var codes = 0;
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limit. */
+  var il;
+
+  for (i = 0; i <= maxCodeLength; ++i) {
+    count[i] = 0;
+  }
+  for (i = 0, il = lengths.length; i < il; ++i) {
+    if (lengths[i] > 0) {
+      count[lengths[i]]++;
+      codes++;
+    }
+  }
+
+  for (i = 1; i <= maxCodeLength; ++i) {
+    left = (left << 1) - count[i];
+    if (left < 0) {
+      throw new Zlib.DataError(
+        'invalid huffman code lengths: over-subscribed',
+        Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+      );
+    }
+  }
+
+  if (left > 0 && !(codes === 0 || codes === 1 && maxCodeLength === 1)) {
+    throw new Zlib.DataError(
+      'invalid huffman code lengths: incomplete',
+      Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+    );
+  }
+};
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
@@ -31,952 +31,552 @@ goog.provide('Zlib.Inflate');
 /** @define {boolean} export symbols. */
 var ZLIB_INFLATE_EXPORT = false;
 
-/** @define {number} buffer block size. */
-var ZLIB_BUFFER_BLOCK_SIZE = 0x8000; // [ 0x8000 >= ZLIB_BUFFER_BLOCK_SIZE ]
-
 //-----------------------------------------------------------------------------
 
 goog.require('Zlib.Adler32');
+goog.require('Zlib.BufferError');
+goog.require('Zlib.ChecksumError');
+goog.require('Zlib.HeaderError');
+goog.require('Zlib.RawInflate');
+goog.require('Zlib.ZlibError');
 
 goog.scope(function() {
 
 /**
  * @param {!(Uint8Array|Array)} input deflated buffer.
- * @param {number=} opt_blocksize buffer blocksize.
+ * @param {(Object|number)=} opt_params option parameters or buffer blocksize.
  * @param {boolean=} opt_verify verify adler-32 checksum.
+ *
+ * opt_params には buffer blocksize の代わりに以下のプロパティを持つ
+ * Object を指定する事ができます。
+ *   - bufferType: Zlib.Inflate.BufferType. デフォルトは ADAPTIVE.
+ *   - bufferSize: buffer block size.
+ *   - verify: verify adler-32 checksum.
+ *   - resize: 出力をちょうどの長さの新しいバッファにコピーして返す.
+ *   - maxOutputLength: 出力サイズの上限. 超えた場合は
+ *     Zlib.Inflate.OutputLimitError が投げられる.
+ *   - maxRatio: 出力サイズの上限を入力サイズに対する比率で指定する.
+ *   - dictionary: プリセット辞書 (FDICT) の byte array, または DICTID を
+ *     受け取ってプリセット辞書を返す関数.
+ *   - multiMember: 入力がなくなるまで連続する zlib メンバを復号する.
+ *     2 つ目以降のメンバの位置が zlib ヘッダで始まっていなければ後続の
+ *     データとみなしてそこで終了し, getConsumedLength はその位置を返す.
+ *   - strict: RFC1950, RFC1951 に従っていない入力をエラーにする.
+ *     Adler-32 チェックサムも常に検証する.
+ *   - onData: 復号した出力を bufferSize ごとのチャンクとして受け取る関数.
+ *     32KB のウィンドウだけを保持して復号し, inflate は空のバッファを返す.
+ *   - recover: 入力が壊れていても例外を投げずに, そこまでに復号できた出力を
+ *     返す. エラーの内容と位置は getError で取得できる.
+ *   - onBlock: 最終ブロック以外のブロックを復号する毎に呼ばれる関数.
+ *     false を返すとそこで復号を終了する.
+ *   - sync: 入力の破損を検出したら次のフルフラッシュ位置まで読み飛ばして
+ *     復号を続ける. 読み飛ばした範囲は getSkippedRanges で取得できる.
+ *     読み飛ばしたメンバの Adler-32 チェックサムは検証しない.
+ *     フラッシュ位置が見つからない場合は recover と同じく中断する.
  * @constructor
  */
-Zlib.Inflate = function(input, opt_blocksize, opt_verify) {
-  /** @type {!(Array|Uint8Array)} inflated buffer */
-  this.buffer;
-  /** @type {!Array.<(Array|Uint8Array)>} */
-  this.blocks = [];
-  /** @type {number} block size. */
-  this.blockSize = opt_blocksize ? opt_blocksize : ZLIB_BUFFER_BLOCK_SIZE;
+Zlib.Inflate = function(input, opt_params, opt_verify) {
+  /** @type {!(Uint8Array|Array)} */
+  this.input = input;
+  /** @type {number} */
+  this.ip = 0;
+  /** @type {Zlib.RawInflate} */
+  this.rawinflate;
   /** @type {(boolean|undefined)} verify flag. */
   this.verify = opt_verify;
-  /** @type {!number} total output buffer pointer. */
-  this.totalpos = 0;
-  /** @type {!number} input buffer pointer. */
-  this.ip = 0;
-  /** @type {!number} bit stream reader buffer. */
-  this.bitsbuf = 0;
-  /** @type {!number} bit stream reader buffer size. */
-  this.bitsbuflen = 0;
-  /** @type {!(Array|Uint8Array)} input buffer. */
-  this.input =
-    (USE_TYPEDARRAY && input instanceof Array) ? new Uint8Array(input) : input;
-  /** @type {!(Uint8Array|Array)} output buffer. */
-  this.output;
-  /** @type {!number} output buffer pointer. */
-  this.op;
-  /** @type {boolean} is final block flag. */
-  this.bfinal = false;
-  /** @type {Zlib.Inflate.Mode} inflate mode */
-  this.mode = Zlib.Inflate.Mode.ADAPTIVE;
-  /** @type {boolean} resize flag for memory size optimization. */
+  /** @type {Zlib.CompressionMethod} */
+  this.method;
+  /** @type {(number|undefined)} buffer block size. */
+  this.blockSize;
+  /** @type {(Zlib.Inflate.BufferType|undefined)} buffer management. */
+  this.bufferType;
+  /** @type {boolean} resize flag. */
   this.resize = false;
-
-  // initialize
-  switch (this.mode) {
-    case Zlib.Inflate.Mode.BLOCK:
-      this.op = Zlib.Inflate.MaxBackwardLength;
-      this.output =
-        new (USE_TYPEDARRAY ? Uint8Array : Array)(
-          Zlib.Inflate.MaxBackwardLength +
-          this.blockSize +
-          Zlib.Inflate.MaxCopyLength
-        );
-      break;
-    case Zlib.Inflate.Mode.ADAPTIVE:
-      this.op = 0;
-      this.output = new (USE_TYPEDARRAY ? Uint8Array : Array)(this.blockSize);
-      this.expandBuffer = this.expandBufferDynamic;
-      this.concatBuffer = this.concatBufferDynamic;
-      this.decodeHuffman = this.decodeHuffmanDynamic;
-      break;
-    default:
-      throw new Error('invalid inflate mode');
-  }
-
-  // Compression Method and Flags
-  var cmf = input[this.ip++];
-  var flg = input[this.ip++];
-
-  // compression method
-  switch (cmf & 0x0f) {
-    case Zlib.CompressionMethod.DEFLATE:
-      this.method = Zlib.CompressionMethod.DEFLATE;
-      break;
-    default:
-      throw new Error('unsupported compression method');
-  }
-
-  // fcheck
-  if (((cmf << 8) + flg) % 31 !== 0) {
-    throw new Error('invalid fcheck flag:' + ((cmf << 8) + flg) % 31);
-  }
-
-  // fdict (not supported)
-  if (flg & 0x20) {
-    throw new Error('fdict flag is not supported');
-  }
-}
-
-/**
- * @enum {number}
- */
-Zlib.Inflate.Mode = {
-  BLOCK: 0,
-  ADAPTIVE: 1
-};
-
-/**
- * inflate.
- * @return {!(Uint8Array|Array)} inflated buffer.
- */
-Zlib.Inflate.prototype.inflate = function() {
-  /** @type {!(Array|Uint8Array)} input buffer. */
-  var input = this.input;
-  /** @type {!(Uint8Array|Array)} inflated buffer. */
-  var buffer;
-  /** @type {number} adler-32 checksum */
-  var adler32;
-
-  while (!this.bfinal) {
-    this.parseBlock();
-  }
-
-  buffer = this.concatBuffer();
-
-  // verify adler-32
-  if (this.verify) {
-    adler32 =
-      input[this.ip++] << 24 | input[this.ip++] << 16 |
-      input[this.ip++] << 8 | input[this.ip++];
-
-    if (adler32 !== Zlib.Adler32(buffer)) {
-      throw new Error('invalid adler-32 checksum');
+  /** @type {number} max output length. */
+  this.maxOutputLength = Infinity;
+  /** @type {number} output length of the decoded members. */
+  this.totalOutputLength = 0;
+  /** @type {(Array|Uint8Array|Function)} preset dictionary. */
+  this.dictionary = null;
+  /** @type {boolean} decode concatenated zlib members. */
+  this.multiMember = false;
+  /** @type {?number} adler-32 checksum read from the trailer. */
+  this.adler32 = null;
+  /** @type {boolean} strict mode. */
+  this.strict = false;
+  /** @type {?function(!(Array|Uint8Array))} output chunk callback. */
+  this.onData = null;
+  /** @type {number} adler-32 checksum of the chunks passed to onData. */
+  this.dataAdler32 = 1;
+  /** @type {boolean} return partial output for corrupted input. */
+  this.recover = false;
+  /** @type {Zlib.ZlibError} error occurred in recover mode. */
+  this.error = null;
+  /** @type {?function(): (boolean|undefined)} block boundary callback. */
+  this.onBlock = null;
+  /** @type {boolean} resume decoding at the next full flush point. */
+  this.sync = false;
+  /** @type {!Array.<!Zlib.RawInflate.SkippedRange>} skipped input. */
+  this.skippedRanges = [];
+  /** @type {number} window size declared by CINFO (log2). */
+  this.windowBits = 15;
+
+  // option parameters
+  if (typeof opt_params === 'object' && opt_params !== null) {
+    this.blockSize = opt_params['bufferSize'];
+    this.bufferType = opt_params['bufferType'];
+    if (opt_params['resize']) {
+      this.resize = true;
+    }
+    if (typeof opt_params['maxOutputLength'] === 'number') {
+      this.maxOutputLength = opt_params['maxOutputLength'];
+    }
+    if (typeof opt_params['maxRatio'] === 'number') {
+      this.maxOutputLength = Math.min(
+        this.maxOutputLength,
+        Math.floor(input.length * opt_params['maxRatio'])
+      );
+    }
+    if (typeof opt_params['verify'] === 'boolean') {
+      this.verify = opt_params['verify'];
     }
+    if (opt_params['dictionary']) {
+      this.dictionary = opt_params['dictionary'];
+    }
+    if (opt_params['multiMember']) {
+      this.multiMember = true;
+    }
+    if (opt_params['strict']) {
+      this.strict = true;
+      this.verify = true;
+    }
+    if (typeof opt_params['onData'] === 'function') {
+      this.onData = opt_params['onData'];
+    }
+    if (opt_params['recover']) {
+      this.recover = true;
+    }
+    if (typeof opt_params['onBlock'] === 'function') {
+      this.onBlock = opt_params['onBlock'];
+    }
+    if (opt_params['sync']) {
+      this.sync = true;
+      this.recover = true;
+    }
+  } else {
+    this.blockSize = opt_params;
   }
 
-  return buffer;
+  this.startMember();
 };
 
 /**
- * @const {number} max backward length for LZ77.
- */
-Zlib.Inflate.MaxBackwardLength = 32768;
-
-/**
- * @const {number} max copy length for LZ77.
- */
-Zlib.Inflate.MaxCopyLength = 258;
-
-/**
- * huffman order
- * @const {!(Array.<number>|Uint8Array)}
- */
-Zlib.Inflate.Order = (function(table) {
-  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
-})([16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]);
-
-/**
- * huffman length code table.
- * @const {!(Array.<number>|Uint16Array)}
- */
-Zlib.Inflate.LengthCodeTable = (function(table) {
-  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
-})([
-  0x0003, 0x0004, 0x0005, 0x0006, 0x0007, 0x0008, 0x0009, 0x000a, 0x000b,
-  0x000d, 0x000f, 0x0011, 0x0013, 0x0017, 0x001b, 0x001f, 0x0023, 0x002b,
-  0x0033, 0x003b, 0x0043, 0x0053, 0x0063, 0x0073, 0x0083, 0x00a3, 0x00c3,
-  0x00e3, 0x0102, 0x0102, 0x0102
-]);
-
-/**
- * huffman length extra-bits table.
- * @const {!(Array.<number>|Uint8Array)}
- */
-Zlib.Inflate.LengthExtraTable = (function(table) {
-  return USE_TYPEDARRAY ? new Uint8Array(table) : table;
-})([
-  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
-  5, 5, 0, 0, 0
-]);
-
-/**
- * huffman dist code table.
- * @const {!(Array.<number>|Uint16Array)}
- */
-Zlib.Inflate.DistCodeTable = (function(table) {
-  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
-})([
-  0x0001, 0x0002, 0x0003, 0x0004, 0x0005, 0x0007, 0x0009, 0x000d, 0x0011,
-  0x0019, 0x0021, 0x0031, 0x0041, 0x0061, 0x0081, 0x00c1, 0x0101, 0x0181,
-  0x0201, 0x0301, 0x0401, 0x0601, 0x0801, 0x0c01, 0x1001, 0x1801, 0x2001,
-  0x3001, 0x4001, 0x6001
-]);
-
-/**
- * huffman dist extra-bits table.
- * @const {!(Array.<number>|Uint8Array)}
- */
-Zlib.Inflate.DistExtraTable = (function(table) {
-  return USE_TYPEDARRAY ? new Uint8Array(table) : table;
-})([
-  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
-  11, 12, 12, 13, 13
-]);
-
-/**
- * fixed huffman length code table
- * @const {!Array}
+ * @enum {number}
  */
-Zlib.Inflate.FixedLiteralLengthTable = (function(table) {
-  return table;
-})((function() {
-  var lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(288);
-  var i, il;
-
-  for (i = 0, il = lengths.length; i < il; ++i) {
-    lengths[i] =
-      (i <= 143) ? 8 :
-      (i <= 255) ? 9 :
-      (i <= 279) ? 7 :
-      8;
-  }
-
-  return buildHuffmanTable(lengths);
-})());
+Zlib.Inflate.BufferType = Zlib.RawInflate.BufferType;
 
 /**
- * fixed huffman distance code table
- * @const {!Array}
+ * @constructor
+ * @extends {Zlib.BufferError}
  */
-Zlib.Inflate.FixedDistanceTable = (function(table) {
-  return table;
-})((function() {
-  var lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(30);
-  var i, il;
-
-  for (i = 0, il = lengths.length; i < il; ++i) {
-    lengths[i] = 5;
-  }
-
-  return buildHuffmanTable(lengths);
-})());
+Zlib.Inflate.OutputLimitError = Zlib.RawInflate.OutputLimitError;
 
 /**
- * parse deflated block.
+ * recover モードでは入力の破損による例外を記録し, それ以外は投げる.
+ * @param {*} e thrown error.
  */
-Zlib.Inflate.prototype.parseBlock = function() {
-  /** @type {number} header */
-  var hdr = this.readBits(3);
-
-  // BFINAL
-  if (hdr & 0x1) {
-    this.bfinal = true;
-  }
-
-  // BTYPE
-  hdr >>>= 1;
-  switch (hdr) {
-    // uncompressed
-    case 0:
-      this.parseUncompressedBlock();
-      break;
-    // fixed huffman
-    case 1:
-      this.parseFixedHuffmanBlock();
-      break;
-    // dynamic huffman
-    case 2:
-      this.parseDynamicHuffmanBlock();
-      break;
-    // reserved or other
-    default:
-      throw new Error('unknown BTYPE: ' + hdr);
+Zlib.Inflate.prototype.handleError = function(e) {
+  if (this.recover && e instanceof Zlib.ZlibError && e.isCorruptInput()) {
+    this.error = e;
+    return;
   }
+  throw e;
 };
 
 /**
- * read inflate bits
- * @param {number} length bits length.
- * @return {number} read bits.
+ * 次のメンバのヘッダを読み込む.
+ * @return {boolean} false if the header is broken (recover mode).
  */
-Zlib.Inflate.prototype.readBits = function(length) {
-  var bitsbuf = this.bitsbuf;
-  var bitsbuflen = this.bitsbuflen;
-  var input = this.input;
-  var ip = this.ip;
-
-  /** @type {number} input and output byte. */
-  var octet;
-
-  // not enough buffer
-  while (bitsbuflen < length) {
-    // input byte
-    octet = input[ip++];
-    if (octet === void 0) {
-      throw new Error('input buffer is broken');
-    }
-
-    // concat octet
-    bitsbuf |= octet << bitsbuflen;
-    bitsbuflen += 8;
+Zlib.Inflate.prototype.startMember = function() {
+  try {
+    this.readHeader();
+  } catch (e) {
+    this.handleError(e);
+    return false;
   }
 
-  // output byte
-  octet = bitsbuf & /* MASK */ ((1 << length) - 1);
-  bitsbuf >>>= length;
-  bitsbuflen -= length;
-
-  this.bitsbuf = bitsbuf;
-  this.bitsbuflen = bitsbuflen;
-  this.ip = ip;
-
-  return octet;
+  return true;
 };
 
 /**
- * read huffman code using table
- * @param {Array} table huffman code table.
- * @return {number} huffman code.
+ * 現在の入力位置が zlib メンバのヘッダ (CMF, FLG) で始まっているか.
+ * readHeader と同じく圧縮方式と FCHECK を検査し, strict mode では CINFO
+ * も検査する.
+ * @return {boolean} true if a zlib member starts at the input position.
+ * @private
  */
-Zlib.Inflate.prototype.readCodeByTable = function(table) {
-  var bitsbuf = this.bitsbuf;
-  var bitsbuflen = this.bitsbuflen;
+Zlib.Inflate.prototype.hasMemberHeader_ = function() {
+  /** @type {!(Uint8Array|Array)} input buffer. */
   var input = this.input;
-  var ip = this.ip;
+  /** @type {number} CMF */
+  var cmf = input[this.ip];
+  /** @type {number} FLG */
+  var flg = input[this.ip + 1];
 
-  /** @type {!(Array|Uint8Array)} huffman code table */
-  var codeTable = table[0];
-  /** @type {number} */
-  var maxCodeLength = table[1];
-  /** @type {number} input byte */
-  var octet;
-  /** @type {number} code */
-  var code;
-  /** @type {number} code length & code (16bit, 16bit) */
-  var codeWithLength;
-  /** @type {number} code bits length */
-  var codeLength;
-
-  // not enough buffer
-  while (bitsbuflen < maxCodeLength) {
-    octet = input[ip++];
-    if (octet === void 0) {
-      throw new Error('input buffer is broken');
-    }
-    bitsbuf |= octet << bitsbuflen;
-    bitsbuflen += 8;
+  if (this.ip + 2 > input.length) {
+    return false;
   }
 
-  // read max length
-  codeWithLength = codeTable[bitsbuf & ((1 << maxCodeLength) - 1)];
-  codeLength = codeWithLength >>> 16;
-
-  this.bitsbuf = bitsbuf >> codeLength;
-  this.bitsbuflen = bitsbuflen - codeLength;
-  this.ip = ip;
-
-  return codeWithLength & 0xffff;
+  return (cmf & 0x0f) === Zlib.CompressionMethod.DEFLATE &&
+    !(this.strict && (cmf >>> 4) > 7) &&
+    ((cmf << 8) + flg) % 31 === 0;
 };
 
 /**
- * parse uncompressed block.
+ * read zlib header and prepare RawInflate for the member.
  */
-Zlib.Inflate.prototype.parseUncompressedBlock = function() {
+Zlib.Inflate.prototype.readHeader = function() {
+  /** @type {!(Uint8Array|Array)} input buffer. */
   var input = this.input;
-  var ip = this.ip;
-  var output = this.output;
-  var op = this.op;
-
-  /** @type {number} input byte. */
-  var octet;
-  /** @type {number} block length */
-  var len;
-  /** @type {number} number for check block length */
-  var nlen;
-  /** @type {number} output buffer length */
-  var olength = output.length;
-  /** @type {number} copy counter */
-  var preCopy;
-
-  // skip buffered header bits
-  this.bitsbuf = 0;
-  this.bitsbuflen = 0;
-
-  // len (1st)
-  octet = input[ip++];
-  if (octet === void 0) {
-    throw new Error('invalid uncompressed block header: LEN (first byte)');
-  }
-  len = octet;
-
-  // len (2nd)
-  octet = input[ip++];
-  if (octet === void 0) {
-    throw new Error('invalid uncompressed block header: LEN (second byte)');
-  }
-  len |= octet << 8;
-
-  // nlen (1st)
-  octet = input[ip++];
-  if (octet === void 0) {
-    throw new Error('invalid uncompressed block header: NLEN (first byte)');
-  }
-  nlen = octet;
-
-  // nlen (2nd)
-  octet = input[ip++];
-  if (octet === void 0) {
-    throw new Error('invalid uncompressed block header: NLEN (second byte)');
+  /** @type {(Array|Uint8Array|Function)} preset dictionary. */
+  var dictionary = this.dictionary;
+  /** @type {number} preset dictionary identifier (adler-32). */
+  var dictid;
+  /** @type {number} header position. */
+  var hp = this.ip;
+
+  if (hp + 2 > input.length) {
+    throw new Zlib.BufferError(
+      'input buffer is broken: zlib header is missing',
+      Zlib.ZlibError.Code.TRUNCATED_INPUT, hp, 0, this.totalOutputLength
+    );
   }
-  nlen |= octet << 8;
 
-  // check len & nlen
-  if (len === ~nlen) {
-    throw new Error('invalid uncompressed block header: length verify');
-  }
+  // Compression Method and Flags
+  var cmf = input[this.ip++];
+  var flg = input[this.ip++];
 
-  // check size
-  if (ip + len > input.length) { throw new Error('input buffer is broken'); }
-
-  // expand buffer
-  switch (this.mode) {
-    case Zlib.Inflate.Mode.BLOCK:
-      // pre copy
-      while (op + len >= output.length) {
-        preCopy = olength - op;
-        len -= preCopy;
-        if (USE_TYPEDARRAY) {
-          output.set(input.subarray(ip, ip + preCopy), op);
-          op += preCopy;
-          ip += preCopy;
-        } else {
-          while (preCopy--) {
-            output[op++] = input[ip++];
-          }
-        }
-        this.op = op;
-        output = this.expandBuffer();
-        op = this.op;
-      }
-      break;
-    case Zlib.Inflate.Mode.ADAPTIVE:
-      while (op + len > output.length) {
-        output = this.expandBuffer({fixRatio: 2});
-      }
+  // compression method
+  switch (cmf & 0x0f) {
+    case Zlib.CompressionMethod.DEFLATE:
+      this.method = Zlib.CompressionMethod.DEFLATE;
       break;
     default:
-      throw new Error('invalid inflate mode');
+      throw new Zlib.HeaderError(
+        'unsupported compression method',
+        Zlib.ZlibError.Code.UNSUPPORTED_COMPRESSION_METHOD,
+        hp, 0, this.totalOutputLength
+      );
+  }
+
+  // window size
+  if ((cmf >>> 4) > 7) {
+    if (this.strict) {
+      throw new Zlib.HeaderError(
+        'invalid window size: ' + (cmf >>> 4),
+        Zlib.ZlibError.Code.INVALID_WINDOW_SIZE,
+        hp, 0, this.totalOutputLength
+      );
+    }
+    this.windowBits = 15;
+  } else {
+    this.windowBits = (cmf >>> 4) + 8;
   }
 
-  // copy
-  if (USE_TYPEDARRAY) {
-    output.set(input.subarray(ip, ip + len), op);
-    op += len;
-    ip += len;
-  } else {
-    while (len--) {
-      output[op++] = input[ip++];
-    }
+  // fcheck
+  if (((cmf << 8) + flg) % 31 !== 0) {
+    throw new Zlib.HeaderError(
+      'invalid fcheck flag:' + ((cmf << 8) + flg) % 31,
+      Zlib.ZlibError.Code.INVALID_FCHECK,
+      hp + 1, 0, this.totalOutputLength
+    );
   }
 
-  this.ip = ip;
-  this.op = op;
-  this.output = output;
+  // fdict
+  if (flg & 0x20) {
+    if (this.ip + 4 > input.length) {
+      throw new Zlib.BufferError(
+        'input buffer is broken: DICTID is missing',
+        Zlib.ZlibError.Code.TRUNCATED_INPUT,
+        this.ip, 0, this.totalOutputLength
+      );
+    }
+    dictid = (
+      input[this.ip++] << 24 | input[this.ip++] << 16 |
+      input[this.ip++] << 8 | input[this.ip++]
+    ) >>> 0;
+
+    if (typeof dictionary === 'function') {
+      dictionary = dictionary(dictid);
+    }
+    if (!dictionary) {
+      throw new Zlib.HeaderError(
+        'preset dictionary is required: ' + dictid,
+        Zlib.ZlibError.Code.DICTIONARY_REQUIRED,
+        hp + 2, 0, this.totalOutputLength
+      );
+    }
+    if (Zlib.Adler32(dictionary) !== dictid) {
+      throw new Zlib.HeaderError(
+        'invalid preset dictionary',
+        Zlib.ZlibError.Code.INVALID_DICTIONARY,
+        hp + 2, 0, this.totalOutputLength
+      );
+    }
+  } else {
+    dictionary = null;
+  }
+
+  // RawInflate
+  this.dataAdler32 = 1;
+  this.rawinflate = new Zlib.RawInflate(input, {
+    'index': this.ip,
+    'bufferSize': this.blockSize,
+    'bufferType': this.bufferType,
+    'resize': this.resize,
+    'maxOutputLength': this.maxOutputLength - this.totalOutputLength,
+    'strict': this.strict,
+    'windowBits': this.windowBits,
+    'dictionary': dictionary,
+    'onData': this.onData ? goog.bind(this.receiveData, this) : null,
+    'recover': this.recover,
+    'onBlock': this.onBlock,
+    'sync': this.sync
+  });
 };
 
 /**
- * parse fixed huffman block.
+ * RawInflate から受け取ったチャンクのチェックサムを計算して onData に渡す.
+ * @param {!(Array|Uint8Array)} chunk inflated chunk.
  */
-Zlib.Inflate.prototype.parseFixedHuffmanBlock = function() {
-  this.decodeHuffman(
-    Zlib.Inflate.FixedLiteralLengthTable,
-    Zlib.Inflate.FixedDistanceTable
-  );
+Zlib.Inflate.prototype.receiveData = function(chunk) {
+  if (this.verify) {
+    this.dataAdler32 = Zlib.Adler32.update(this.dataAdler32, chunk);
+  }
+  this.onData(chunk);
 };
 
 /**
- * parse dynamic huffman block.
+ * inflate.
+ * multiMember が指定されている場合は全てのメンバを復号して連結したものを返す.
+ * @return {!(Uint8Array|Array)} inflated buffer.
  */
-Zlib.Inflate.prototype.parseDynamicHuffmanBlock = function() {
-  /** @type {number} number of literal and length codes. */
-  var hlit = this.readBits(5) + 257;
-  /** @type {number} number of distance codes. */
-  var hdist = this.readBits(5) + 1;
-  /** @type {number} number of code lengths. */
-  var hclen = this.readBits(4) + 4;
-  /** @type {!(Uint8Array|Array)} code lengths. */
-  var codeLengths =
-    new (USE_TYPEDARRAY ? Uint8Array : Array)(Zlib.Inflate.Order.length);
-  /** @type {!Array} code lengths table. */
-  var codeLengthsTable;
-  /** @type {!(Uint32Array|Array)} literal and length code lengths. */
-  var litlenLengths;
-  /** @type {!(Uint32Array|Array)} distance code lengths. */
-  var distLengths;
+Zlib.Inflate.prototype.inflate = function() {
+  /** @type {!Array.<!(Uint8Array|Array)>} inflated buffers. */
+  var buffers;
+  /** @type {!(Uint8Array|Array)} inflated buffer. */
+  var buffer;
+  /** @type {number} buffer pointer. */
+  var pos = 0;
   /** @type {number} loop counter. */
-  var i = 0;
+  var i;
+  /** @type {number} loop limiter. */
+  var il;
   /** @type {number} loop counter. */
-  var j = 0;
+  var j;
+  /** @type {number} loop limiter. */
+  var jl;
 
-  // decode code lengths
-  for (i = 0; i < hclen; ++i) {
-    codeLengths[Zlib.Inflate.Order[i]] = this.readBits(3);
+  if (!this.multiMember) {
+    return this.inflateMember();
   }
-  codeLengthsTable = buildHuffmanTable(codeLengths);
-
-  // decode function
-  function decode(num, table, lengths) {
-    var code;
-    var prev;
-    var repeat;
-    var i = 0;
-
-    for (i = 0; i < num;) {
-      code = this.readCodeByTable(table);
-      switch (code) {
-        case 16:
-          repeat = 3 + this.readBits(2);
-          while (repeat--) { lengths[i++] = prev; }
-          break;
-        case 17:
-          repeat = 3 + this.readBits(3);
-          while (repeat--) { lengths[i++] = 0; }
-          prev = 0;
-          break;
-        case 18:
-          repeat = 11 + this.readBits(7);
-          while (repeat--) { lengths[i++] = 0; }
-          prev = 0;
-          break;
-        default:
-          lengths[i++] = code;
-          prev = code;
-          break;
-      }
-    }
 
-    return lengths;
+  buffers = this.inflateMembers();
+  if (buffers.length === 1) {
+    return buffers[0];
   }
 
-  // literal and length code
-  litlenLengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(hlit);
-
-  // distance code
-  distLengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(hdist);
+  buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(this.totalOutputLength);
+  for (i = 0, il = buffers.length; i < il; ++i) {
+    if (USE_TYPEDARRAY) {
+      buffer.set(buffers[i], pos);
+      pos += buffers[i].length;
+    } else {
+      for (j = 0, jl = buffers[i].length; j < jl; ++j) {
+        buffer[pos++] = buffers[i][j];
+      }
+    }
+  }
 
-  //return;
-  this.decodeHuffman(
-    buildHuffmanTable(decode.call(this, hlit, codeLengthsTable, litlenLengths)),
-    buildHuffmanTable(decode.call(this, hdist, codeLengthsTable, distLengths))
-  );
+  return buffer;
 };
 
 /**
- * decode huffman code
- * @param {!Array} litlen literal and length code table.
- * @param {!Array} dist distination code table.
+ * 呼び出し側が用意したバッファに直接復号する.
+ * 展開後のサイズが分かっている場合に, 出力バッファの拡張とコピーを避ける.
+ * 出力が target に収まらない場合は OUTPUT_BUFFER_FULL の Zlib.BufferError が
+ * 投げられる.
+ * @param {!(Uint8Array|Array)} target output buffer.
+ * @param {number=} opt_offset output start position in target.
+ * @return {number} number of bytes written.
  */
-Zlib.Inflate.prototype.decodeHuffman = function(litlen, dist) {
-  var output = this.output;
-  var op = this.op;
-
-  this.currentLitlenTable = litlen;
-  this.currentDistTable = dist;
-
-  /** @type {number} output position limit. */
-  var olength = output.length - Zlib.Inflate.MaxCopyLength;
-  /** @type {number} huffman code. */
-  var code;
-  /** @type {number} table index. */
-  var ti;
-  /** @type {number} huffman code distination. */
-  var codeDist;
-  /** @type {number} huffman code length. */
-  var codeLength;
-  /** @type {number} buffer position. */
-  var bpos;
-  /** @type {number} pre-copy counter. */
-  var preCopy;
-
-  while ((code = this.readCodeByTable(litlen)) !== 256) {
-    // literal
-    if (code < 256) {
-      if (op >= olength) {
-        this.op = op;
-        output = this.expandBuffer();
-        op = this.op;
-      }
-      output[op++] = code;
-
-      continue;
-    }
-
-    // length code
-    ti = code - 257;
-    codeLength = Zlib.Inflate.LengthCodeTable[ti];
-    if (Zlib.Inflate.LengthExtraTable[ti] > 0) {
-      codeLength += this.readBits(Zlib.Inflate.LengthExtraTable[ti]);
-    }
-
-    // dist code
-    code = this.readCodeByTable(dist);
-    codeDist = Zlib.Inflate.DistCodeTable[code];
-    if (Zlib.Inflate.DistExtraTable[code] > 0) {
-      codeDist += this.readBits(Zlib.Inflate.DistExtraTable[code]);
-    }
-
-    // lz77 decode
-    if (op >= olength) {
-      this.op = op;
-      output = this.expandBuffer();
-      op = this.op;
-    }
-    while (codeLength--) {
-      output[op] = output[(op++) - codeDist];
+Zlib.Inflate.prototype.inflateInto = function(target, opt_offset) {
+  /** @type {number} output start position. */
+  var offset = opt_offset || 0;
+  /** @type {number} output position. */
+  var pos = offset + this.inflateMember(target, offset).length;
+
+  while (this.multiMember && this.ip < this.input.length && !this.error) {
+    if (!this.hasMemberHeader_() || !this.startMember()) {
+      break;
     }
+    pos += this.inflateMember(target, pos).length;
   }
 
-  this.op = op;
+  return pos - offset;
 };
 
 /**
- * decode huffman code (dynamic)
- * @param {!Array} litlen literal and length code table.
- * @param {!Array} dist distination code table.
+ * 入力がなくなるまで連続する zlib メンバを復号する.
+ * zlib ヘッダで始まらないデータが続く場合はその手前で終了する.
+ * @return {!Array.<!(Uint8Array|Array)>} inflated buffer of each member.
  */
-Zlib.Inflate.prototype.decodeHuffmanDynamic = function(litlen, dist) {
-  var output = this.output;
-  var op = this.op;
-
-  this.currentLitlenTable = litlen;
-  this.currentDistTable = dist;
-
-  /** @type {number} output position limit. */
-  var olength = output.length;
-  /** @type {number} huffman code. */
-  var code;
-  /** @type {number} table index. */
-  var ti;
-  /** @type {number} huffman code distination. */
-  var codeDist;
-  /** @type {number} huffman code length. */
-  var codeLength;
-  /** @type {number} buffer position. */
-  var bpos;
-  /** @type {number} pre-copy counter. */
-  var preCopy;
-
-  while ((code = this.readCodeByTable(litlen)) !== 256) {
-    // literal
-    if (code < 256) {
-      if (op === olength) {
-        output = this.expandBuffer();
-        olength = output.length;
-      }
-      output[op++] = code;
-
-      continue;
-    }
-
-    // length code
-    ti = code - 257;
-    codeLength = Zlib.Inflate.LengthCodeTable[ti];
-    if (Zlib.Inflate.LengthExtraTable[ti] > 0) {
-      codeLength += this.readBits(Zlib.Inflate.LengthExtraTable[ti]);
-    }
-
-    // dist code
-    code = this.readCodeByTable(dist);
-    codeDist = Zlib.Inflate.DistCodeTable[code];
-    if (Zlib.Inflate.DistExtraTable[code] > 0) {
-      codeDist += this.readBits(Zlib.Inflate.DistExtraTable[code]);
-    }
+Zlib.Inflate.prototype.inflateMembers = function() {
+  /** @type {!Array.<!(Uint8Array|Array)>} inflated buffers. */
+  var buffers = [this.inflateMember()];
 
-    // lz77 decode
-    if (op + codeLength >= olength) {
-      output = this.expandBuffer();
-      olength = output.length;
-    }
-    while (codeLength--) {
-      output[op] = output[(op++) - codeDist];
+  while (this.ip < this.input.length && !this.error) {
+    // 後続のデータは復号せずに残す
+    if (!this.hasMemberHeader_() || !this.startMember()) {
+      break;
     }
+    buffers.push(this.inflateMember());
   }
 
-  this.op = op;
+  return buffers;
 };
 
 /**
- * expand output buffer.
- * @param {Object=} opt_param option parameters.
- * @return {!(Array|Uint8Array)} output buffer.
+ * inflate the current member and read its trailer.
+ * @param {!(Uint8Array|Array)=} opt_target output buffer supplied by caller.
+ * @param {number=} opt_offset output start position in opt_target.
+ * @return {!(Uint8Array|Array)} inflated buffer.
  */
-Zlib.Inflate.prototype.expandBuffer = function(opt_param) {
-  /** @type {!(Array|Uint8Array)} store buffer. */
-  var buffer =
-    new (USE_TYPEDARRAY ? Uint8Array : Array)(
-        this.op - Zlib.Inflate.MaxBackwardLength
-    );
-  /** @type {number} backward base point */
-  var backward = this.op - Zlib.Inflate.MaxBackwardLength;
-  /** @type {number} copy index. */
+Zlib.Inflate.prototype.inflateMember = function(opt_target, opt_offset) {
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  var input = this.input;
+  /** @type {!(Uint8Array|Array)} inflated buffer. */
+  var buffer;
+  /** @type {number} output start position. */
+  var offset = opt_offset || 0;
+  /** @type {number} output length. */
+  var length;
+  /** @type {Zlib.ZlibError} error occurred in recover mode. */
+  var error;
+  /** @type {!Array.<!Zlib.RawInflate.SkippedRange>} skipped input. */
+  var skipped;
+  /** @type {number} loop counter. */
   var i;
-  /** @type {number} copy limit */
-  var il;
 
-  var output = this.output;
+  // ヘッダが壊れている (recover mode)
+  if (this.error) {
+    return new (USE_TYPEDARRAY ? Uint8Array : Array)(0);
+  }
 
-  // copy to output buffer
-  if (USE_TYPEDARRAY) {
-    buffer.set(output.subarray(Zlib.Inflate.MaxBackwardLength, buffer.length));
-  } else {
-    for (i = 0, il = buffer.length; i < il; ++i) {
-      buffer[i] = output[i + Zlib.Inflate.MaxBackwardLength];
+  try {
+    if (opt_target) {
+      length = this.rawinflate.decompressInto(opt_target, offset);
+      buffer = USE_TYPEDARRAY ?
+        opt_target.subarray(offset, offset + length) :
+        opt_target.slice(offset, offset + length);
+    } else {
+      buffer = this.rawinflate.decompress();
+    }
+  } catch (e) {
+    // 出力サイズは先行するメンバの分も含める
+    if (e instanceof Zlib.ZlibError && e.outputLength !== null) {
+      e.outputLength += this.totalOutputLength;
     }
+    throw e;
   }
+  this.ip = this.rawinflate.ip;
 
-  this.blocks.push(buffer);
-  this.totalpos += buffer.length;
+  // 読み飛ばした範囲 (sync mode)
+  skipped = this.rawinflate.getSkippedRanges();
+  for (i = 0; i < skipped.length; ++i) {
+    skipped[i].outputOffset += this.totalOutputLength;
+    skipped[i].error.outputLength += this.totalOutputLength;
+    this.skippedRanges.push(skipped[i]);
+  }
 
-  // copy to backward buffer
-  if (USE_TYPEDARRAY) {
-    output.set(
-      output.subarray(backward, backward + Zlib.Inflate.MaxBackwardLength)
-    );
+  // 壊れた入力の途中まで復号した (recover mode)
+  error = this.rawinflate.getError();
+  if (error && error.outputLength !== null &&
+      !(skipped.length && skipped[skipped.length - 1].error === error)) {
+    error.outputLength += this.totalOutputLength;
+  }
+  this.totalOutputLength += this.rawinflate.getOutputLength();
+  if (error) {
+    this.error = error;
+    return buffer;
+  }
+
+  // adler-32 trailer
+  if (this.ip + 4 <= input.length) {
+    this.adler32 = (
+      input[this.ip++] << 24 | input[this.ip++] << 16 |
+      input[this.ip++] << 8 | input[this.ip++]
+    ) >>> 0;
   } else {
-    for (i = 0; i < Zlib.Inflate.MaxBackwardLength; ++i) {
-      output[i] = output[backward + i];
+    this.adler32 = null;
+    if (this.verify || this.multiMember) {
+      this.handleError(new Zlib.BufferError(
+        'input buffer is broken: adler-32 checksum is missing',
+        Zlib.ZlibError.Code.TRUNCATED_INPUT,
+        this.ip, 0, this.totalOutputLength
+      ));
+      return buffer;
     }
   }
 
-  this.op = Zlib.Inflate.MaxBackwardLength;
+  // verify adler-32 (読み飛ばした場合は一致しない)
+  if (this.verify && !skipped.length) {
+    if (this.adler32 !==
+        (this.onData ? this.dataAdler32 : Zlib.Adler32(buffer))) {
+      this.handleError(new Zlib.ChecksumError(
+        'invalid adler-32 checksum',
+        Zlib.ZlibError.Code.INVALID_ADLER32,
+        this.ip - 4, 0, this.totalOutputLength
+      ));
+    }
+  }
 
-  return output;
+  return buffer;
 };
 
 /**
- * expand output buffer. (dynamic)
- * @param {Object=} opt_param option parameters.
- * @return {!(Array|Uint8Array)} output buffer pointer.
+ * recover モードで復号を中断したエラー.
+ * 例外の message, code と, 入力位置 (inputPosition, bitPosition) および
+ * それまでの出力サイズ (outputLength) で破損箇所が分かる.
+ * @return {Zlib.ZlibError} error, or null if the input is not corrupted.
  */
-Zlib.Inflate.prototype.expandBufferDynamic = function(opt_param) {
-  /** @type {!(Array|Uint8Array)} store buffer. */
-  var buffer;
-  /** @type {number} expantion ratio. */
-  var ratio = (this.input.length / this.ip + 1) | 0;
-  /** @type {number} maximum number of huffman code. */
-  var maxHuffCode;
-  /** @type {number} new output buffer size. */
-  var newSize;
-  /** @type {number} max inflate size. */
-  var maxInflateSize;
-
-  if (opt_param) {
-    if (typeof opt_param.fixRatio === 'number') {
-      ratio = opt_param.fixRatio;
-    }
-    if (typeof opt_param.addRatio === 'number') {
-      ratio += opt_param.addRatio;
-    }
-  }
-
-  var input = this.input;
-  var output = this.output;
-
-  // calculate new buffer size
-  if (ratio < 2) {
-    maxHuffCode =
-      (input.length - this.ip) / this.currentLitlenTable[2];
-    maxInflateSize = (maxHuffCode / 2 * 258) | 0;
-    newSize = maxInflateSize < output.length ?
-      output.length + maxInflateSize :
-      output.length << 1;
-  } else {
-    newSize = output.length * ratio;
-  }
-
-  // create new output buffer
-  buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(newSize);
-
-  // copy
-  buffer.set(output);
-
-  this.output = buffer;
-
-  return this.output;
+Zlib.Inflate.prototype.getError = function() {
+  return this.error;
 };
 
 /**
- * concat output buffer.
- * @return {!(Array|Uint8Array)} output buffer.
+ * sync モードで読み飛ばした入力の範囲 (全メンバ分).
+ * @return {!Array.<!Zlib.RawInflate.SkippedRange>} skipped ranges.
  */
-Zlib.Inflate.prototype.concatBuffer = function() {
-  /** @type {number} buffer pointer. */
-  var pos = 0;
-  /** @type {number} buffer pointer. */
-  var limit = this.totalpos + (this.op - Zlib.Inflate.MaxBackwardLength);
-  /** @type {!(Array|Uint8Array)} output block array. */
-  var output = this.output;
-  /** @type {!Array} blocks array. */
-  var blocks = this.blocks;
-  /** @type {!(Array|Uint8Array)} output block array. */
-  var block;
-  /** @type {!(Array|Uint8Array)} output buffer. */
-  var buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(limit);
-  /** @type {number} loop counter. */
-  var i;
-  /** @type {number} loop limiter. */
-  var il;
-  /** @type {number} loop counter. */
-  var j;
-  /** @type {number} loop limiter. */
-  var jl;
-
-  // single buffer
-  if (blocks.length === 0) {
-    return USE_TYPEDARRAY ?
-      this.output.subarray(Zlib.Inflate.MaxBackwardLength, this.op) :
-      this.output.slice(Zlib.Inflate.MaxBackwardLength, this.op);
-  }
-
-  // copy to buffer
-  for (i = 0, il = blocks.length; i < il; ++i) {
-    block = blocks[i];
-    for (j = 0, jl = block.length; j < jl; ++j) {
-      buffer[pos++] = block[j];
-    }
-  }
-
-  // current buffer
-  for (i = Zlib.Inflate.MaxBackwardLength, il = this.op; i < il; ++i) {
-    buffer[pos++] = output[i];
-  }
-
-  this.blocks = [];
-  this.buffer = buffer;
-
-  return this.buffer;
+Zlib.Inflate.prototype.getSkippedRanges = function() {
+  return this.skippedRanges;
 };
 
 /**
- * concat output buffer. (dynamic)
- * @return {!(Array|Uint8Array)} output buffer.
+ * 復号で消費した入力のバイト数 (Adler-32 トレーラを含む).
+ * @return {number} consumed input length.
  */
-Zlib.Inflate.prototype.concatBufferDynamic = function() {
-  /** @type {Array|Uint8Array} output buffer. */
-  var buffer;
-  var resize = this.resize;
-
-  var op = this.op;
-
-  if (resize) {
-    if (USE_TYPEDARRAY) {
-      buffer = new Uint8Array(op);
-      buffer.set(this.output.subarray(0, op));
-    } else {
-      buffer = this.output.slice(0, op);
-    }
-  } else {
-    buffer =
-      USE_TYPEDARRAY ?  this.output.subarray(0, op) : this.output.slice(0, op);
-  }
-
-
-  this.buffer = buffer;
-
-  return this.buffer;
+Zlib.Inflate.prototype.getConsumedLength = function() {
+  return this.ip;
 };
 
-//-----------------------------------------------------------------------------
-// utility functions
-//-----------------------------------------------------------------------------
-
 /**
- * build huffman table from length list.
- * @param {!(Array.<number>|Uint8Array)} lengths length list.
- * @return {!Array} huffman table.
+ * 最後に復号したメンバのトレーラから読み込んだ Adler-32 チェックサム.
+ * @return {?number} adler-32 checksum, or null if the trailer is missing.
  */
-function buildHuffmanTable(lengths) {
-  /** @type {number} length list size. */
-  var listSize = lengths.length;
-  /** @type {number} max code length for table size. */
-  var maxCodeLength = 0;
-  /** @type {number} min code length for table size. */
-  var minCodeLength = Number.POSITIVE_INFINITY;
-  /** @type {number} table size. */
-  var size;
-  /** @type {!(Array|Uint8Array)} huffman code table. */
-  var table;
-  /** @type {number} bit length. */
-  var bitLength;
-  /** @type {number} huffman code. */
-  var code;
-  /**
-   * サイズが 2^maxlength 個のテーブルを埋めるためのスキップ長.
-   * @type {number} skip length for table filling.
-   */
-  var skip;
-  /** @type {number} reversed code. */
-  var reversed;
-  /** @type {number} reverse temp. */
-  var rtemp;
-  /** @type {number} loop counter. */
-  var i;
-  /** @type {number} loop limit. */
-  var il;
-  /** @type {number} loop counter. */
-  var j;
-  /** @type {number} loop limit. */
-  var jl;
-
-  // Math.max は遅いので最長の値は for-loop で取得する
-  for (i = 0, il = listSize; i < il; ++i) {
-    if (lengths[i] > maxCodeLength) {
-      maxCodeLength = lengths[i];
-    }
-    if (lengths[i] < minCodeLength) {
-      minCodeLength = lengths[i];
-    }
-  }
-
-  size = 1 << maxCodeLength;
-  table = new (USE_TYPEDARRAY ? Uint32Array : Array)(size);
-
-  // ビット長の短い順からハフマン符号を割り当てる
-  for (bitLength = 1, code = 0, skip = 2; bitLength <= maxCodeLength;) {
-    for (i = 0; i < listSize; ++i) {
-      if (lengths[i] === bitLength) {
-        // ビットオーダーが逆になるためビット長分並びを反転する
-        for (reversed = 0, rtemp = code, j = 0; j < bitLength; ++j) {
-          reversed = (reversed << 1) | (rtemp & 1);
-          rtemp >>= 1;
-        }
-
-        // 最大ビット長をもとにテーブルを作るため、
-        // 最大ビット長以外では 0 / 1 どちらでも良い箇所ができる
-        // そのどちらでも良い場所は同じ値で埋めることで
-        // 本来のビット長以上のビット数取得しても問題が起こらないようにする
-        for (j = reversed; j < size; j += skip) {
-          table[j] = (bitLength << 16) | i;
-        }
-
-        ++code;
-      }
-    }
-
-    // 次のビット長へ
-    ++bitLength;
-    code <<= 1;
-    skip <<= 1;
-  }
-
-  return [table, maxCodeLength, minCodeLength];
-}
+Zlib.Inflate.prototype.getAdler32 = function() {
+  return this.adler32;
+};
 
 /**
  * byte string to array.
@@ -1008,6 +608,46 @@ if (ZLIB_INFLATE_EXPORT) {
     'Zlib.Inflate.prototype.inflate',
     Zlib.Inflate.prototype.inflate
   );
+  goog.exportSymbol(
+    'Zlib.Inflate.prototype.inflateInto',
+    Zlib.Inflate.prototype.inflateInto
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.prototype.inflateMembers',
+    Zlib.Inflate.prototype.inflateMembers
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.prototype.getConsumedLength',
+    Zlib.Inflate.prototype.getConsumedLength
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.prototype.getAdler32',
+    Zlib.Inflate.prototype.getAdler32
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.prototype.getError',
+    Zlib.Inflate.prototype.getError
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.prototype.getSkippedRanges',
+    Zlib.Inflate.prototype.getSkippedRanges
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.OutputLimitError',
+    Zlib.Inflate.OutputLimitError
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.BufferType',
+    Zlib.Inflate.BufferType
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.BufferType.BLOCK',
+    Zlib.Inflate.BufferType.BLOCK
+  );
+  goog.exportSymbol(
+    'Zlib.Inflate.BufferType.ADAPTIVE',
+    Zlib.Inflate.BufferType.ADAPTIVE
+  );
 }
 
 
@@ -0,0 +1,352 @@
+/**
+ * inflateindex.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview 圧縮データのランダムアクセス用インデックス (zlib の
+ * examples/zran.c と同じ方式).
+ * 一度全体を復号して, 出力の一定間隔ごとにブロック境界の入力ビット位置と
+ * 直前のウィンドウ (32KB, Deflate64 では 64KB) をチェックポイントとして
+ * 記録しておき, 任意の範囲を最寄りのチェックポイントから復号する.
+ */
+
+goog.provide('Zlib.InflateIndex');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_INFLATE_INDEX_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.Inflate');
+goog.require('Zlib.ParameterError');
+goog.require('Zlib.RawInflate');
+goog.require('Zlib.ZlibError');
+
+goog.scope(function() {
+
+/**
+ * @param {Object=} opt_params option parameters.
+ *
+ * opt_params は以下のプロパティを指定する事ができます。
+ *   - span: チェックポイントの間隔 (出力のバイト数). デフォルトは 1MB.
+ *     チェックポイントはブロック境界にしか置けないので, span より長い
+ *     ブロックの途中には置かれない. Zlib.InflateIndex.prototype.build を参照.
+ *   - raw: 入力を zlib ではなく raw deflate として扱う.
+ *   - deflate64: raw の入力を Deflate64 として扱う. Zlib.RawInflate を参照.
+ *   - bufferSize: 復号時の buffer block size.
+ *   - dictionary: プリセット辞書. Zlib.Inflate, Zlib.RawInflate を参照.
+ *   - verify: verify adler-32 checksum.
+ * @constructor
+ */
+Zlib.InflateIndex = function(opt_params) {
+  /** @type {!Array.<!Zlib.InflateIndex.Checkpoint>} checkpoints. */
+  this.checkpoints = [];
+  /** @type {number} checkpoint interval (output bytes). */
+  this.span = Zlib.InflateIndex.DefaultSpan;
+  /** @type {boolean} input is raw deflate. */
+  this.raw = false;
+  /** @type {Object} option parameters. */
+  this.params = opt_params || {};
+  /** @type {number} uncompressed length. */
+  this.length = 0;
+
+  if (typeof this.params['span'] === 'number') {
+    this.span = this.params['span'];
+  }
+  if (this.params['raw']) {
+    this.raw = true;
+  }
+};
+
+/**
+ * @const {number} default checkpoint interval.
+ */
+Zlib.InflateIndex.DefaultSpan = 0x100000;
+
+/**
+ * チェックポイント.
+ * @param {number} outputOffset uncompressed offset.
+ * @param {number} inputOffset input byte offset at the block boundary.
+ * @param {number} bitOffset bits already used in the input byte.
+ * @param {!(Array|Uint8Array)} window preceding output (up to window size).
+ * @constructor
+ */
+Zlib.InflateIndex.Checkpoint = function(
+  outputOffset, inputOffset, bitOffset, window
+) {
+  /**
+   * @expose
+   * @type {number}
+   */
+  this.outputOffset = outputOffset;
+  /**
+   * @expose
+   * @type {number}
+   */
+  this.inputOffset = inputOffset;
+  /**
+   * @expose
+   * @type {number}
+   */
+  this.bitOffset = bitOffset;
+  /**
+   * @expose
+   * @type {!(Array|Uint8Array)}
+   */
+  this.window = window;
+};
+
+/**
+ * 入力全体を復号してインデックスを作成する.
+ * 出力は保持しないので, 出力サイズによらずメモリ使用量は一定.
+ * @param {!(Array|Uint8Array)} input compressed data.
+ * @param {Object=} opt_params option parameters.
+ * @return {!Zlib.InflateIndex} index.
+ */
+Zlib.InflateIndex.build = function(input, opt_params) {
+  /** @type {!Zlib.InflateIndex} */
+  var index = new Zlib.InflateIndex(opt_params);
+
+  index.build(input);
+
+  return index;
+};
+
+/**
+ * 入力全体を復号してチェックポイントを記録する.
+ * チェックポイントは先頭と, 前のチェックポイントから span 以上出力した後の
+ * 最初のブロック境界に置く. 最終ブロックの後には境界がないので, 最終ブロック
+ * の直前にも span によらず置き, 末尾の取り出しで復号するのが最終ブロック
+ * だけで済むようにする. 大きなブロック (特に全体が 1 つの最終ブロックの
+ * 場合) の途中には置けないので, その中の取り出しはブロックの先頭から
+ * 復号することになる.
+ * @param {!(Array|Uint8Array)} input compressed data.
+ */
+Zlib.InflateIndex.prototype.build = function(input) {
+  /** @type {Zlib.InflateIndex} */
+  var index = this;
+  /** @type {Zlib.Inflate} */
+  var inflate = null;
+  /** @type {Zlib.RawInflate} */
+  var rawinflate;
+  /** @type {number} output length of the next checkpoint. */
+  var next = this.span;
+  /** @type {number} output length of the last checkpoint. */
+  var last = 0;
+  /** @type {!Object} parameters for inflate. */
+  var params = {
+    'bufferSize': this.params['bufferSize'],
+    'dictionary': this.params['dictionary'],
+    'verify': this.params['verify'],
+    'deflate64': this.params['deflate64'],
+    // 出力は捨ててウィンドウだけを保持する
+    'onData': function(chunk) {},
+    'onBlock': function() {
+      /** @type {number} output length at this block boundary. */
+      var length = rawinflate.getOutputLength();
+      /** @type {number} input bit position of the next block header. */
+      var bitpos = rawinflate.getBitPosition();
+      /** @type {boolean} the next block is the final block (BFINAL). */
+      var bfinal = ((input[bitpos >>> 3] >>> (bitpos & 7)) & 1) === 1;
+
+      if (length >= next || (bfinal && length > last)) {
+        index.addCheckpoint(rawinflate);
+        last = length;
+        next = length + index.span;
+      }
+    }
+  };
+
+  this.checkpoints = [];
+
+  if (this.raw) {
+    rawinflate = new Zlib.RawInflate(input, params);
+    this.addCheckpoint(rawinflate);
+    rawinflate.decompress();
+  } else {
+    inflate = new Zlib.Inflate(input, params);
+    rawinflate = inflate.rawinflate;
+    this.addCheckpoint(rawinflate);
+    inflate.inflate();
+  }
+
+  this.length = rawinflate.getOutputLength();
+};
+
+/**
+ * 現在のブロック境界をチェックポイントとして記録する.
+ * @param {!Zlib.RawInflate} rawinflate decoder at a block boundary.
+ */
+Zlib.InflateIndex.prototype.addCheckpoint = function(rawinflate) {
+  /** @type {number} input bit position. */
+  var bitpos = rawinflate.getBitPosition();
+
+  this.checkpoints.push(new Zlib.InflateIndex.Checkpoint(
+    rawinflate.getOutputLength(),
+    bitpos >>> 3,
+    bitpos & 7,
+    rawinflate.getWindow()
+  ));
+};
+
+/**
+ * offset 以前で最も近いチェックポイントを探す.
+ * @param {number} offset uncompressed offset.
+ * @return {!Zlib.InflateIndex.Checkpoint} checkpoint.
+ */
+Zlib.InflateIndex.prototype.getCheckpoint = function(offset) {
+  /** @type {!Array.<!Zlib.InflateIndex.Checkpoint>} */
+  var checkpoints = this.checkpoints;
+  /** @type {number} lower bound. */
+  var lo = 0;
+  /** @type {number} upper bound. */
+  var hi = checkpoints.length - 1;
+  /** @type {number} middle. */
+  var mid;
+
+  if (hi < 0) {
+    throw new Zlib.ParameterError(
+      'index is not built', Zlib.ZlibError.Code.INVALID_INPUT
+    );
+  }
+
+  while (lo < hi) {
+    mid = (lo + hi + 1) >>> 1;
+    if (checkpoints[mid].outputOffset <= offset) {
+      lo = mid;
+    } else {
+      hi = mid - 1;
+    }
+  }
+
+  return checkpoints[lo];
+};
+
+/**
+ * 最寄りのチェックポイントから復号して, 展開後の offset から length バイトを
+ * 取り出す. 入力の一部だけを渡す場合は opt_inputOffset に input の先頭が
+ * 圧縮データ全体のどの位置に当たるかを指定する (input はチェックポイントの
+ * inputOffset から始まっていれば良い).
+ * @param {!(Array|Uint8Array)} input compressed data.
+ * @param {number} offset uncompressed offset.
+ * @param {number} length number of bytes to extract.
+ * @param {number=} opt_inputOffset position of input in the compressed data.
+ * @return {!(Array|Uint8Array)} extracted bytes (shorter at the end of data).
+ */
+Zlib.InflateIndex.prototype.extract = function(
+  input, offset, length, opt_inputOffset
+) {
+  /** @type {!Zlib.InflateIndex.Checkpoint} */
+  var checkpoint = this.getCheckpoint(offset);
+  /** @type {number} position of input in the compressed data. */
+  var inputOffset = opt_inputOffset || 0;
+  /** @type {number} output length needed from the checkpoint. */
+  var end = offset + length - checkpoint.outputOffset;
+  /** @type {Zlib.RawInflate} */
+  var rawinflate;
+  /** @type {!(Array|Uint8Array)} output from the checkpoint. */
+  var buffer;
+  /** @type {number} extract start position in buffer. */
+  var start = offset - checkpoint.outputOffset;
+
+  if (checkpoint.inputOffset < inputOffset) {
+    throw new Zlib.ParameterError(
+      'input does not contain the checkpoint: ' + checkpoint.inputOffset,
+      Zlib.ZlibError.Code.INVALID_INPUT
+    );
+  }
+
+  rawinflate = new Zlib.RawInflate(input, {
+    'index': checkpoint.inputOffset - inputOffset,
+    'bitIndex': checkpoint.bitOffset,
+    'dictionary': checkpoint.window,
+    'bufferSize': this.params['bufferSize'],
+    'deflate64': this.params['deflate64'],
+    // 必要な範囲を含むブロックまで復号したら終了する
+    'onBlock': function() {
+      return rawinflate.getOutputLength() < end;
+    }
+  });
+  buffer = rawinflate.decompress();
+
+  if (start > buffer.length) {
+    start = buffer.length;
+  }
+  if (end > buffer.length) {
+    end = buffer.length;
+  }
+
+  return USE_TYPEDARRAY ?
+    new Uint8Array(buffer.subarray(start, end)) : buffer.slice(start, end);
+};
+
+/**
+ * @return {!Array.<!Zlib.InflateIndex.Checkpoint>} checkpoints.
+ */
+Zlib.InflateIndex.prototype.getCheckpoints = function() {
+  return this.checkpoints;
+};
+
+/**
+ * @return {number} uncompressed length.
+ */
+Zlib.InflateIndex.prototype.getLength = function() {
+  return this.length;
+};
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_INFLATE_INDEX_EXPORT) {
+  goog.exportSymbol('Zlib.InflateIndex', Zlib.InflateIndex);
+  goog.exportSymbol('Zlib.InflateIndex.build', Zlib.InflateIndex.build);
+  goog.exportSymbol(
+    'Zlib.InflateIndex.prototype.build',
+    Zlib.InflateIndex.prototype.build
+  );
+  goog.exportSymbol(
+    'Zlib.InflateIndex.prototype.getCheckpoint',
+    Zlib.InflateIndex.prototype.getCheckpoint
+  );
+  goog.exportSymbol(
+    'Zlib.InflateIndex.prototype.extract',
+    Zlib.InflateIndex.prototype.extract
+  );
+  goog.exportSymbol(
+    'Zlib.InflateIndex.prototype.getCheckpoints',
+    Zlib.InflateIndex.prototype.getCheckpoints
+  );
+  goog.exportSymbol(
+    'Zlib.InflateIndex.prototype.getLength',
+    Zlib.InflateIndex.prototype.getLength
+  );
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
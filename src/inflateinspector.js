@@ -0,0 +1,386 @@
+/**
+ * inflateinspector.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview Deflate ストリームのブロック構造を調べる.
+ * Zlib.RawInflate で復号しながら, インスタンスの parseBlock, decodeHuffman
+ * などを差し替えて各ブロックのヘッダ, 符号長, トークン列を記録する.
+ * 結果は JSON.stringify できる plain object で返す.
+ */
+
+goog.provide('Zlib.InflateInspector');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_INFLATE_INSPECTOR_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.Huffman');
+goog.require('Zlib.Inflate');
+goog.require('Zlib.RawInflate');
+
+goog.scope(function() {
+
+/**
+ * @param {!(Array|Uint8Array)} input compressed data.
+ * @param {Object=} opt_params option parameters.
+ *
+ * opt_params は以下のプロパティを指定する事ができます。
+ *   - raw: 入力を zlib ではなく raw deflate として扱う.
+ *   - tokens: 各ブロックの復号したトークン列も記録する.
+ *   - index: raw deflate の開始位置.
+ *   - dictionary: プリセット辞書. Zlib.Inflate, Zlib.RawInflate を参照.
+ *   - deflate64: raw の入力を Deflate64 として扱う.
+ *   - strict: RFC1950, RFC1951 に従っていない入力をエラーにする.
+ * @constructor
+ */
+Zlib.InflateInspector = function(input, opt_params) {
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  this.input = input;
+  /** @type {Object} option parameters. */
+  this.params = opt_params || {};
+  /** @type {boolean} input is raw deflate. */
+  this.raw = !!this.params['raw'];
+  /** @type {boolean} record decoded tokens. */
+  this.tokens = !!this.params['tokens'];
+  /** @type {!Array.<!Object>} inspected blocks. */
+  this.blocks = [];
+  /** @type {Object} the block being decoded. */
+  this.block = null;
+};
+
+/**
+ * 入力を復号して各ブロックの情報を返す.
+ * @param {!(Array|Uint8Array)} input compressed data.
+ * @param {Object=} opt_params option parameters.
+ * @return {!Object} inspection result.
+ */
+Zlib.InflateInspector.inspect = function(input, opt_params) {
+  return new Zlib.InflateInspector(input, opt_params).inspect();
+};
+
+/**
+ * 入力を復号して各ブロックの情報を返す.
+ *
+ * 戻り値は以下のプロパティを持つ.
+ *   - blocks: ブロックの配列. 各ブロックは
+ *     - bfinal, btype: ブロックヘッダの BFINAL, BTYPE.
+ *     - inputStart, inputEnd: 入力のビット位置の範囲 (ヘッダを含む).
+ *     - outputStart, outputEnd: 出力のバイト位置の範囲.
+ *     - hlit, hdist, hclen: 動的ハフマンブロックのヘッダ.
+ *     - codeLengthCodeLengths: 符号長符号の符号長 (シンボル順 19 個).
+ *     - literalLengthCodeLengths, distanceCodeLengths: 符号長の配列
+ *       (固定ハフマンブロックでは固定の符号長).
+ *     - tokens: tokens オプション指定時のトークン列. リテラルは数値,
+ *       一致は [長さ, 距離] の配列.
+ *   - outputLength: 出力の長さ.
+ *   - adler32: zlib のトレーラの Adler-32 (raw の場合は含まない).
+ * @return {!Object} inspection result.
+ */
+Zlib.InflateInspector.prototype.inspect = function() {
+  /** @type {!Object} parameters for inflate. */
+  var params = {
+    'index': this.params['index'],
+    'dictionary': this.params['dictionary'],
+    'deflate64': this.params['deflate64'],
+    'strict': this.params['strict'],
+    // 出力は保持しない
+    'onData': function(chunk) {}
+  };
+  /** @type {Zlib.Inflate} */
+  var inflate = null;
+  /** @type {!Zlib.RawInflate} */
+  var rawinflate;
+  /** @type {!Object} inspection result. */
+  var result;
+
+  this.blocks = [];
+
+  if (this.raw) {
+    rawinflate = new Zlib.RawInflate(this.input, params);
+    this.attach(rawinflate);
+    rawinflate.decompress();
+  } else {
+    inflate = new Zlib.Inflate(this.input, params);
+    rawinflate = inflate.rawinflate;
+    this.attach(rawinflate);
+    inflate.inflate();
+  }
+
+  result = {
+    'blocks': this.blocks,
+    'outputLength': rawinflate.getOutputLength()
+  };
+  if (inflate) {
+    result['adler32'] = inflate.getAdler32();
+  }
+
+  return result;
+};
+
+/**
+ * RawInflate のインスタンスのメソッドを記録用のものに差し替える.
+ * @param {!Zlib.RawInflate} rawinflate decoder.
+ */
+Zlib.InflateInspector.prototype.attach = function(rawinflate) {
+  /** @type {Zlib.InflateInspector} */
+  var inspector = this;
+  /** @type {!Function} decodeHuffman of the buffer type. */
+  var decodeHuffman = rawinflate.decodeHuffman;
+
+  rawinflate.parseBlock = function() {
+    inspector.parseBlock(rawinflate);
+  };
+  rawinflate.decodeHuffman = function(litlen, dist) {
+    inspector.decodeHuffman(rawinflate, decodeHuffman, litlen, dist);
+  };
+};
+
+/**
+ * ブロックのヘッダと入出力の範囲を記録して復号する.
+ * @param {!Zlib.RawInflate} rawinflate decoder.
+ */
+Zlib.InflateInspector.prototype.parseBlock = function(rawinflate) {
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  var input = rawinflate.input;
+  /** @type {number} block start bit position. */
+  var start = rawinflate.getBitPosition();
+  /** @type {number} block header. */
+  var hdr = peekBits(input, start, 3);
+  /** @type {!Object} block information. */
+  var block = {
+    'bfinal': hdr & 1,
+    'btype': hdr >>> 1,
+    'inputStart': start,
+    'inputEnd': start,
+    'outputStart': rawinflate.getOutputLength(),
+    'outputEnd': rawinflate.getOutputLength()
+  };
+  /** @type {number} number of code length codes. */
+  var hclen;
+  /** @type {!Array.<number>} code length code lengths. */
+  var lengths;
+  /** @type {number} loop counter. */
+  var i;
+
+  // 動的ハフマンブロックのヘッダ (RFC1951 3.2.7)
+  if (block['btype'] === 2) {
+    hdr = peekBits(input, start + 3, 14);
+    hclen = (hdr >>> 10) + 4;
+    block['hlit'] = (hdr & 0x1f) + 257;
+    block['hdist'] = ((hdr >>> 5) & 0x1f) + 1;
+    block['hclen'] = hclen;
+
+    lengths = [];
+    for (i = 0; i < Zlib.RawInflate.Order.length; ++i) {
+      lengths[i] = 0;
+    }
+    for (i = 0; i < hclen; ++i) {
+      lengths[Zlib.RawInflate.Order[i]] =
+        peekBits(input, start + 17 + i * 3, 3);
+    }
+    block['codeLengthCodeLengths'] = lengths;
+  }
+
+  this.block = block;
+  this.blocks.push(block);
+
+  Zlib.RawInflate.prototype.parseBlock.call(rawinflate);
+
+  block['inputEnd'] = rawinflate.getBitPosition();
+  block['outputEnd'] = rawinflate.getOutputLength();
+};
+
+/**
+ * 符号長とトークン列を記録して復号する.
+ * @param {!Zlib.RawInflate} rawinflate decoder.
+ * @param {!Function} decodeHuffman decodeHuffman of the buffer type.
+ * @param {!Array} litlen literal and length code table.
+ * @param {!Array} dist distination code table.
+ */
+Zlib.InflateInspector.prototype.decodeHuffman = function(
+  rawinflate, decodeHuffman, litlen, dist
+) {
+  /** @type {!Object} block information. */
+  var block = this.block;
+  /** @type {boolean} dynamic huffman block. */
+  var dynamic = block['btype'] === 2;
+  /** @type {!Array} decoded tokens. */
+  var tokens;
+  /** @type {number} decoding state. */
+  var state = Zlib.InflateInspector.State.CODE;
+  /** @type {number} match length. */
+  var length = 0;
+  /** @type {number} match distance. */
+  var distance = 0;
+
+  block['literalLengthCodeLengths'] =
+    codeLengthsFromTable(litlen, dynamic ? block['hlit'] : 288);
+  block['distanceCodeLengths'] =
+    codeLengthsFromTable(dist, dynamic ? block['hdist'] : 32);
+
+  if (!this.tokens) {
+    decodeHuffman.call(rawinflate, litlen, dist);
+    return;
+  }
+
+  // 符号と拡張ビットの読み込みを監視してトークンを組み立てる
+  tokens = block['tokens'] = [];
+  rawinflate.readCodeByTable = function(table) {
+    /** @type {number} huffman code. */
+    var code = Zlib.RawInflate.prototype.readCodeByTable.call(
+      rawinflate, table
+    );
+
+    if (table === litlen) {
+      if (code < 256) {
+        tokens.push(code);
+      } else if (code > 256) {
+        length = rawinflate.lengthCodeTable[code - 257];
+        state = rawinflate.lengthExtraTable[code - 257] > 0 ?
+          Zlib.InflateInspector.State.LENGTH_EXTRA :
+          Zlib.InflateInspector.State.CODE;
+      }
+    } else if (table === dist) {
+      distance = rawinflate.distCodeTable[code];
+      if (rawinflate.distExtraTable[code] > 0) {
+        state = Zlib.InflateInspector.State.DISTANCE_EXTRA;
+      } else {
+        tokens.push([length, distance]);
+      }
+    }
+
+    return code;
+  };
+  rawinflate.readBits = function(bitLength) {
+    /** @type {number} read bits. */
+    var bits = Zlib.RawInflate.prototype.readBits.call(rawinflate, bitLength);
+
+    if (state === Zlib.InflateInspector.State.LENGTH_EXTRA) {
+      length += bits;
+    } else if (state === Zlib.InflateInspector.State.DISTANCE_EXTRA) {
+      distance += bits;
+      tokens.push([length, distance]);
+    }
+    state = Zlib.InflateInspector.State.CODE;
+
+    return bits;
+  };
+
+  try {
+    decodeHuffman.call(rawinflate, litlen, dist);
+  } finally {
+    delete rawinflate.readCodeByTable;
+    delete rawinflate.readBits;
+  }
+};
+
+/**
+ * トークンの組み立て状態.
+ * @enum {number}
+ */
+Zlib.InflateInspector.State = {
+  CODE: 0,
+  LENGTH_EXTRA: 1,
+  DISTANCE_EXTRA: 2
+};
+
+//-----------------------------------------------------------------------------
+// utility functions
+//-----------------------------------------------------------------------------
+
+/**
+ * 入力のビット位置から読み込み位置を変えずにビット列を読む.
+ * @param {!(Array|Uint8Array)} input input buffer.
+ * @param {number} bitpos bit position.
+ * @param {number} length bit length (<= 24).
+ * @return {number} read bits.
+ */
+function peekBits(input, bitpos, length) {
+  /** @type {number} byte position. */
+  var ip = bitpos >>> 3;
+  /** @type {number} bit buffer. */
+  var bitsbuf = (input[ip] | input[ip + 1] << 8 | input[ip + 2] << 16 |
+    input[ip + 3] << 24) >>> (bitpos & 7);
+
+  return bitsbuf & ((1 << length) - 1);
+}
+
+/**
+ * ハフマン符号テーブルから各シンボルの符号長を求める.
+ * @param {!Array} table huffman table (Zlib.Huffman.buildHuffmanTable).
+ * @param {number} count number of symbols.
+ * @return {!Array.<number>} code lengths.
+ */
+function codeLengthsFromTable(table, count) {
+  /** @type {!(Array|Uint32Array)} huffman code table. */
+  var codeTable = table[0];
+  /** @type {!Array.<number>} code lengths. */
+  var lengths = [];
+  /** @type {number} code length. */
+  var codeLength;
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limit. */
+  var il;
+
+  for (i = 0; i < count; ++i) {
+    lengths[i] = 0;
+  }
+
+  // 副テーブルへのリンクは符号長が MaxCodeLength より大きい
+  for (i = 0, il = codeTable.length; i < il; ++i) {
+    codeLength = codeTable[i] >>> 16;
+    if (codeLength > 0 && codeLength <= Zlib.Huffman.MaxCodeLength &&
+        (codeTable[i] & 0xffff) < count) {
+      lengths[codeTable[i] & 0xffff] = codeLength;
+    }
+  }
+
+  return lengths;
+}
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_INFLATE_INSPECTOR_EXPORT) {
+  goog.exportSymbol('Zlib.InflateInspector', Zlib.InflateInspector);
+  goog.exportSymbol(
+    'Zlib.InflateInspector.inspect',
+    Zlib.InflateInspector.inspect
+  );
+  goog.exportSymbol(
+    'Zlib.InflateInspector.prototype.inspect',
+    Zlib.InflateInspector.prototype.inspect
+  );
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
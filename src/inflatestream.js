@@ -0,0 +1,293 @@
+/**
+ * inflatestream.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview 入力を分割して受け取る Zlib (RFC1950) 復号化実装.
+ * Deflate の復号は Zlib.RawInflateStream で実装されている.
+ */
+
+goog.provide('Zlib.InflateStream');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_INFLATE_STREAM_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.Adler32');
+goog.require('Zlib.BufferError');
+goog.require('Zlib.ChecksumError');
+goog.require('Zlib.HeaderError');
+goog.require('Zlib.RawInflateStream');
+goog.require('Zlib.ZlibError');
+
+goog.scope(function() {
+
+/**
+ * @param {Object=} opt_params option parameters.
+ *
+ * opt_params は以下のプロパティを指定する事ができます。
+ *   - bufferSize: buffer block size.
+ *   - verify: verify adler-32 checksum.
+ *   - dictionary: プリセット辞書 (FDICT) の byte array, または DICTID を
+ *     受け取ってプリセット辞書を返す関数.
+ *
+ * Zlib.RawInflateStream と同じく, Zlib.RawInflateStream.UnsupportedParams
+ * に挙げたオプションを指定すると ParameterError になる.
+ * @constructor
+ */
+Zlib.InflateStream = function(opt_params) {
+  /** @type {!(Array|Uint8Array)} unread input buffer (header, trailer). */
+  this.input = new (USE_TYPEDARRAY ? Uint8Array : Array)(0);
+  /** @type {!number} input buffer pointer. */
+  this.ip = 0;
+  /** @type {Zlib.RawInflateStream} */
+  this.rawinflate = null;
+  /** @type {Zlib.InflateStream.Status} decoder status. */
+  this.status = Zlib.InflateStream.Status.HEADER;
+  /** @type {boolean} verify flag. */
+  this.verify = false;
+  /** @type {number} adler-32 checksum of output. */
+  this.adler32 = 1;
+  /** @type {Object} option parameters. */
+  this.params = opt_params || {};
+  /** @type {Zlib.CompressionMethod} */
+  this.method;
+  /** @type {number} window size declared by CINFO (log2). */
+  this.windowBits = 15;
+
+  Zlib.RawInflateStream.checkParams(opt_params);
+
+  if (this.params['verify']) {
+    this.verify = true;
+  }
+};
+
+/**
+ * decoder status.
+ * @enum {number}
+ */
+Zlib.InflateStream.Status = {
+  HEADER: 0,
+  DATA: 1,
+  TRAILER: 2,
+  END: 3
+};
+
+/**
+ * decompress the next chunk.
+ * @param {!(Array|Uint8Array)} chunk zlib deflated buffer (partial).
+ * @return {!(Array|Uint8Array)} inflated buffer decoded from this chunk.
+ */
+Zlib.InflateStream.prototype.push = function(chunk) {
+  /** @type {!(Array|Uint8Array)} inflated buffer. */
+  var buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(0);
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  var input;
+  /** @type {number} adler-32 checksum */
+  var adler32;
+
+  this.appendInput(chunk);
+
+  if (this.status === Zlib.InflateStream.Status.HEADER) {
+    if (!this.readHeader()) {
+      this.detachInput(chunk);
+      return buffer;
+    }
+  }
+
+  if (this.status === Zlib.InflateStream.Status.DATA) {
+    input = this.input;
+    buffer = this.rawinflate.push(
+      USE_TYPEDARRAY ? input.subarray(this.ip) : input.slice(this.ip)
+    );
+    this.ip = input.length;
+
+    if (this.verify) {
+      this.adler32 = Zlib.Adler32.update(this.adler32, buffer);
+    }
+
+    // 復号が終わったら残りの入力はトレーラとして読む
+    if (this.rawinflate.status === Zlib.RawInflateStream.Status.END) {
+      this.input = this.rawinflate.input;
+      this.ip = this.rawinflate.ip;
+      this.status = Zlib.InflateStream.Status.TRAILER;
+    }
+  }
+
+  if (this.status === Zlib.InflateStream.Status.TRAILER) {
+    input = this.input;
+    if (this.ip + 4 <= input.length) {
+      adler32 = (
+        input[this.ip++] << 24 | input[this.ip++] << 16 |
+        input[this.ip++] << 8 | input[this.ip++]
+      ) >>> 0;
+
+      if (this.verify && adler32 !== this.adler32) {
+        throw new Zlib.ChecksumError(
+          'invalid adler-32 checksum', Zlib.ZlibError.Code.INVALID_ADLER32
+        );
+      }
+
+      this.status = Zlib.InflateStream.Status.END;
+    }
+  }
+
+  this.detachInput(chunk);
+
+  return buffer;
+};
+
+/**
+ * check the end of zlib stream.
+ */
+Zlib.InflateStream.prototype.finish = function() {
+  if (this.status !== Zlib.InflateStream.Status.END) {
+    throw new Zlib.BufferError(
+      'unexpected end of zlib stream', Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+};
+
+/**
+ * append chunk to unread input.
+ * @param {!(Array|Uint8Array)} chunk input chunk.
+ */
+Zlib.InflateStream.prototype.appendInput =
+  Zlib.RawInflateStream.prototype.appendInput;
+
+/**
+ * 未読の入力が chunk を参照したままであれば, 未読の部分だけをコピーする.
+ * @param {!(Array|Uint8Array)} chunk input chunk passed to push.
+ */
+Zlib.InflateStream.prototype.detachInput =
+  Zlib.RawInflateStream.prototype.detachInput;
+
+/**
+ * read zlib header.
+ * @return {boolean} false if the input is not enough.
+ */
+Zlib.InflateStream.prototype.readHeader = function() {
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {(Array|Uint8Array|Function)} preset dictionary. */
+  var dictionary = this.params['dictionary'] || null;
+  /** @type {number} preset dictionary identifier (adler-32). */
+  var dictid;
+
+  if (ip + 2 > input.length) {
+    return false;
+  }
+
+  // Compression Method and Flags
+  var cmf = input[ip++];
+  var flg = input[ip++];
+
+  // compression method
+  switch (cmf & 0x0f) {
+    case Zlib.CompressionMethod.DEFLATE:
+      this.method = Zlib.CompressionMethod.DEFLATE;
+      break;
+    default:
+      throw new Zlib.HeaderError(
+        'unsupported compression method',
+        Zlib.ZlibError.Code.UNSUPPORTED_COMPRESSION_METHOD
+      );
+  }
+
+  // window size
+  // strict には対応していないので, Zlib.Inflate の strict でない場合と同じく
+  // 7 を超える CINFO は 32KB として扱う
+  this.windowBits = (cmf >>> 4) > 7 ? 15 : (cmf >>> 4) + 8;
+
+  // fcheck
+  if (((cmf << 8) + flg) % 31 !== 0) {
+    throw new Zlib.HeaderError(
+      'invalid fcheck flag:' + ((cmf << 8) + flg) % 31,
+      Zlib.ZlibError.Code.INVALID_FCHECK
+    );
+  }
+
+  // fdict
+  if (flg & 0x20) {
+    if (ip + 4 > input.length) {
+      return false;
+    }
+    dictid = (
+      input[ip++] << 24 | input[ip++] << 16 |
+      input[ip++] << 8 | input[ip++]
+    ) >>> 0;
+
+    if (typeof dictionary === 'function') {
+      dictionary = dictionary(dictid);
+    }
+    if (!dictionary) {
+      throw new Zlib.HeaderError(
+        'preset dictionary is required: ' + dictid,
+        Zlib.ZlibError.Code.DICTIONARY_REQUIRED
+      );
+    }
+    if (Zlib.Adler32(dictionary) !== dictid) {
+      throw new Zlib.HeaderError(
+        'invalid preset dictionary', Zlib.ZlibError.Code.INVALID_DICTIONARY
+      );
+    }
+  } else {
+    dictionary = null;
+  }
+
+  this.ip = ip;
+  this.rawinflate = new Zlib.RawInflateStream({
+    'bufferSize': this.params['bufferSize'],
+    'dictionary': dictionary,
+    'windowBits': this.windowBits
+  });
+  this.status = Zlib.InflateStream.Status.DATA;
+
+  return true;
+};
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_INFLATE_STREAM_EXPORT) {
+  goog.exportSymbol('Zlib.InflateStream', Zlib.InflateStream);
+  goog.exportSymbol(
+    'Zlib.InflateStream.prototype.push',
+    Zlib.InflateStream.prototype.push
+  );
+  goog.exportSymbol(
+    'Zlib.InflateStream.prototype.finish',
+    Zlib.InflateStream.prototype.finish
+  );
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
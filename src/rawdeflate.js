@@ -39,29 +39,186 @@ var ZLIB_RAWDEFLATE_EXPORT = false;
 
 goog.require('Zlib.BitStream');
 goog.require('Zlib.Heap');
+goog.require('Zlib.ParameterError');
 goog.require('Zlib.Util');
+goog.require('Zlib.ZlibError');
 
 goog.scope(function() {
 
 /**
  * Raw Deflate 実装
  * @param {Object=} opt_param compression options.
+ *
+ * opt_param は以下のプロパティを指定する事ができます。
+ *   - compressionType: Zlib.RawDeflate.CompressionType.
+ *     デフォルトは DYNAMIC.
+ *   - level: 圧縮レベル (0-9). zlib と同じく 0 は非圧縮, 1 が最速, 9 が
+ *     最高圧縮. 指定しない場合は候補を全て調べる.
+ *   - strategy: Zlib.RawDeflate.Strategy. zlib の strategy と同じ.
+ *     デフォルトは DEFAULT.
+ *   - lazy: この長さ未満のマッチは次の位置のマッチと比較してから採用する.
+ *     level の設定より優先する.
+ *   - windowBits: LZ77 のウィンドウサイズの対数 (9-15).
+ *   - dictionary: プリセット辞書.
+ *   - optimal: true ならば LZ77 の符号列をビット数の見積もりが最小になる
+ *     ように最短経路探索で決める (Zopfli と同様の最適化パース).
+ *     非常に遅いが圧縮率は最も高くなる. strategy が HUFFMAN_ONLY, RLE の
+ *     場合は strategy を優先し, FILTERED とは同時に指定できない.
+ *   - iterations: optimal でコストモデルを更新する最大回数. デフォルトは 15.
  * @constructor
  */
 Zlib.RawDeflate = function(opt_param) {
+  var dictionary;
+  var windowBits;
+  var level;
+  var strategy;
+
   this.compressionType = Zlib.RawDeflate.CompressionType.DYNAMIC;
   this.lazy = 0;
+  /**
+   * 圧縮レベル (0-9). 指定されていない場合は null.
+   * @type {?number}
+   */
+  this.level = null;
+  /**
+   * 遅延評価しているマッチがこの長さ以上ならば探索する候補数を 1/4 にする
+   * @type {number}
+   */
+  this.goodLength = Zlib.RawDeflate.Lz77MaxLength + 1;
+  /**
+   * この長さ以上のマッチが見つかったら探索を打ち切る
+   * @type {number}
+   */
+  this.niceLength = Zlib.RawDeflate.Lz77MaxLength;
+  /**
+   * 1 回の探索で調べる候補の最大数
+   * @type {number}
+   */
+  this.maxChain = Zlib.RawDeflate.WindowSize;
+  /**
+   * ハッシュ値が衝突しただけの候補も maxChain に数えるか.
+   * level を指定した場合のみ数える (指定しない場合の出力を変えないため).
+   * @type {boolean}
+   */
+  this.countCollisions = false;
+  /**
+   * マッチ内の位置をハッシュテーブルに登録するマッチ長の上限
+   * @type {number}
+   */
+  this.maxInsertLength = Zlib.RawDeflate.Lz77MaxLength;
+  /**
+   * 圧縮の方針
+   * @type {Zlib.RawDeflate.Strategy}
+   */
+  this.strategy = Zlib.RawDeflate.Strategy.DEFAULT;
+  /**
+   * 最適化パースを行うか
+   * @type {boolean}
+   */
+  this.optimal = false;
+  /**
+   * 最適化パースでコストモデルを更新する最大回数
+   * @type {number}
+   */
+  this.iterations = Zlib.RawDeflate.OptimalIterations;
   this.freqsLitLen = [];
   this.freqsDist = [];
+  /**
+   * LZ77 のスライド窓の初期値として使用するプリセット辞書
+   * @type {(Array.<number>|Uint8Array)}
+   */
+  this.dictionary = null;
+  /**
+   * LZ77 のウィンドウサイズの 2 を底とする対数 (zlib の windowBits)
+   * @type {number}
+   */
+  this.windowBits = Zlib.RawDeflate.MaxWindowBits;
+  /**
+   * LZ77 のウィンドウサイズ (最大の戻り距離)
+   * @type {number}
+   */
+  this.windowSize = Zlib.RawDeflate.WindowSize;
 
   // option parameters
   if (typeof(opt_param) === 'object' && opt_param !== null) {
+    if (opt_param['windowBits'] !== void 0) {
+      windowBits = opt_param['windowBits'];
+      if (typeof(windowBits) !== 'number' || windowBits % 1 !== 0 ||
+          windowBits < Zlib.RawDeflate.MinWindowBits ||
+          windowBits > Zlib.RawDeflate.MaxWindowBits) {
+        throw new Zlib.ParameterError(
+          'invalid window bits: ' + windowBits,
+          Zlib.ZlibError.Code.INVALID_WINDOW_BITS
+        );
+      }
+      this.windowBits = windowBits;
+      this.windowSize = 1 << windowBits;
+    }
+    if (opt_param['level'] !== void 0) {
+      level = opt_param['level'];
+      if (typeof(level) !== 'number' || level % 1 !== 0 ||
+          level < 0 || level > 9) {
+        throw new Zlib.ParameterError(
+          'invalid compression level: ' + level,
+          Zlib.ZlibError.Code.INVALID_LEVEL
+        );
+      }
+      this.level = level;
+      if (level === 0) {
+        this.compressionType = Zlib.RawDeflate.CompressionType.NONE;
+      } else {
+        this.setLevelConfig_(level);
+      }
+    }
     if (typeof(opt_param.lazy) === 'number') {
       this.lazy = opt_param['lazy'];
     }
     if (typeof(opt_param.compressionType) === 'number') {
       this.compressionType = opt_param.compressionType;
     }
+    if (opt_param['strategy'] !== void 0) {
+      strategy = opt_param['strategy'];
+      if (typeof(strategy) !== 'number' || strategy % 1 !== 0 ||
+          strategy < Zlib.RawDeflate.Strategy.DEFAULT ||
+          strategy > Zlib.RawDeflate.Strategy.FIXED) {
+        throw new Zlib.ParameterError(
+          'invalid strategy: ' + strategy,
+          Zlib.ZlibError.Code.INVALID_STRATEGY
+        );
+      }
+      this.strategy = strategy;
+      // compressionType に NONE (level 0) が指定されていれば非圧縮のまま
+      if (strategy === Zlib.RawDeflate.Strategy.FIXED &&
+          this.compressionType === Zlib.RawDeflate.CompressionType.DYNAMIC) {
+        this.compressionType = Zlib.RawDeflate.CompressionType.FIXED;
+      }
+    }
+    if (opt_param['optimal']) {
+      // マッチの長さはコストで選ぶので短いマッチを除く FILTERED とは両立しない
+      if (this.strategy === Zlib.RawDeflate.Strategy.FILTERED) {
+        throw new Zlib.ParameterError(
+          'optimal cannot be used with the FILTERED strategy',
+          Zlib.ZlibError.Code.INVALID_STRATEGY
+        );
+      }
+      this.optimal = true;
+    }
+    if (typeof(opt_param['iterations']) === 'number') {
+      this.iterations = opt_param['iterations'];
+    }
+    if (opt_param['dictionary']) {
+      dictionary = opt_param['dictionary'];
+      if (typeof(dictionary) === 'string') {
+        dictionary = Zlib.Util.stringToByteArray(dictionary);
+      }
+      // ウィンドウサイズを超える部分は参照されないので末尾のみ保持する
+      this.dictionary = slice(
+        dictionary,
+        dictionary.length > this.windowSize ?
+          dictionary.length - this.windowSize : 0,
+        this.windowSize
+      );
+    }
   }
 };
 
@@ -79,6 +236,33 @@ Zlib.RawDeflate.CompressionType = {
   RESERVED: 3
 };
 
+/**
+ * 圧縮の方針. 値は zlib と同じ.
+ *   - DEFAULT: 通常の LZ77 とハフマン符号化.
+ *   - FILTERED: 短いマッチ (FilteredMaxLength 以下) を使わずリテラルにする.
+ *     予測フィルタを掛けた画像のように値が小さくばらつくデータ向け.
+ *   - HUFFMAN_ONLY: LZ77 を行わずハフマン符号化のみ行う.
+ *   - RLE: 距離 1 のマッチ (直前のバイトの繰り返し) のみ使う.
+ *   - FIXED: 動的ハフマン符号を使わない (compressionType FIXED と同じ).
+ * HUFFMAN_ONLY と RLE は optimal より優先し, FILTERED と optimal は同時に
+ * 指定できない.
+ * @enum {number}
+ */
+Zlib.RawDeflate.Strategy = {
+  DEFAULT: 0,
+  FILTERED: 1,
+  HUFFMAN_ONLY: 2,
+  RLE: 3,
+  FIXED: 4
+};
+
+/**
+ * FILTERED で使わないマッチの最大長
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.FilteredMaxLength = 5;
+
 
 /**
  * LZ77 の最小マッチ長
@@ -101,6 +285,47 @@ Zlib.RawDeflate.Lz77MaxLength = 258;
  */
 Zlib.RawDeflate.WindowSize = 0x8000;
 
+/**
+ * windowBits の最小値 (zlib と同じく 256 byte のウィンドウは扱わない)
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.MinWindowBits = 9;
+
+/**
+ * windowBits の最大値 (RFC1950 の CINFO = 7)
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.MaxWindowBits = 15;
+
+/**
+ * 圧縮レベルごとの設定 (zlib の configuration_table と同じ値).
+ * [good_length, max_lazy, nice_length, max_chain] の配列で,
+ * レベル 1-3 では max_lazy をハッシュテーブルに登録するマッチ長の上限として
+ * 扱う. レベル 0 は非圧縮なので使用しない.
+ * @const {!Array.<!Array.<number>>}
+ */
+Zlib.RawDeflate.LevelConfig = [
+  [0, 0, 0, 0],
+  [4, 4, 8, 4],
+  [4, 5, 16, 8],
+  [4, 6, 32, 32],
+  [4, 4, 16, 16],
+  [8, 16, 32, 32],
+  [8, 16, 128, 128],
+  [8, 32, 128, 256],
+  [32, 128, 258, 1024],
+  [32, 258, 258, 4096]
+];
+
+/**
+ * 遅延評価を行わない最大の圧縮レベル
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.MaxFastLevel = 3;
+
 /**
  * 最長の符号長
  * @type {number}
@@ -115,6 +340,48 @@ Zlib.RawDeflate.MaxCodeLength = 16;
  */
 Zlib.RawDeflate.HUFMAX = 286;
 
+/**
+ * 符号長符号 16, 17, 18 の拡張ビット数
+ * @type {Array.<number>}
+ * @const
+ */
+Zlib.RawDeflate.TreeExtraBits = [2, 3, 7];
+
+/**
+ * 1 ブロックに含める LZ77 符号の最大数 (終端符号を除く)
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.MaxBlockSymbols = 0x8000;
+
+/**
+ * ブロックを分割するか判定する単位の LZ77 符号数
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.BlockSplitUnit = 0x800;
+
+/**
+ * 最適化パースでコストモデルを更新する最大回数のデフォルト値
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.OptimalIterations = 15;
+
+/**
+ * 最適化パースを行う単位のバイト数
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.OptimalChunkSize = 0x10000;
+
+/**
+ * 最適化パースで 1 つの位置について保持するマッチの最大数
+ * @type {number}
+ * @const
+ */
+Zlib.RawDeflate.OptimalMatchesPerPosition = 8;
+
 /**
  * 固定ハフマン符号の符号化テーブル
  * @type {Array.<Array.<number, number>>}
@@ -130,13 +397,56 @@ Zlib.RawDeflate.FixedHuffmanTable = (function() {
       case (i <= 279): table.push([i - 256 + 0x000, 7]); break;
       case (i <= 287): table.push([i - 280 + 0x0C0, 8]); break;
       default:
-        throw 'invalid literal: ' + i;
+        throw new Zlib.ZlibError(
+          'invalid literal: ' + i, Zlib.ZlibError.Code.INTERNAL
+        );
     }
   }
 
   return table;
 })();
 
+/**
+ * 固定ハフマン符号の符号長 [リテラル・長さ, 距離]
+ * @type {Array.<Array.<number>>}
+ * @const
+ */
+Zlib.RawDeflate.FixedHuffmanLengths = (function() {
+  var litLen = [], dist = [], i;
+
+  for (i = 0; i < 288; i++) {
+    litLen.push(Zlib.RawDeflate.FixedHuffmanTable[i][1]);
+  }
+  for (i = 0; i < 30; i++) {
+    dist.push(5);
+  }
+
+  return [litLen, dist];
+})();
+
+/**
+ * 圧縮レベルに合わせて LZ77 の探索を設定する
+ * @param {number} level 圧縮レベル (1-9).
+ * @private
+ */
+Zlib.RawDeflate.prototype.setLevelConfig_ = function(level) {
+  /** @type {!Array.<number>} [good, lazy, nice, chain] */
+  var config = Zlib.RawDeflate.LevelConfig[level];
+
+  this.goodLength = config[0];
+  this.niceLength = config[2];
+  this.maxChain = config[3];
+  this.countCollisions = true;
+  // レベル 1-3 は遅延評価をせず, 長いマッチの途中の位置は登録しない
+  if (level <= Zlib.RawDeflate.MaxFastLevel) {
+    this.maxInsertLength = config[1];
+    this.lazy = 0;
+  } else {
+    this.maxInsertLength = Zlib.RawDeflate.Lz77MaxLength;
+    this.lazy = config[1];
+  }
+};
+
 /**
  * DEFLATE ブロックの作成
  * @param {!(Array.<number>|Uint8Array|string)}
@@ -144,7 +454,7 @@ Zlib.RawDeflate.FixedHuffmanTable = (function() {
  * @return {!Array} 圧縮済み byte array.
  */
 Zlib.RawDeflate.prototype.makeBlocks = function(data) {
-  var blocks = [], blockArray, position, length;
+  var blocks = [], blockArray, position, length, stream;
 
   // バッファが string だったら byte array に変換
   if (typeof(data) === 'string') {
@@ -154,6 +464,11 @@ Zlib.RawDeflate.prototype.makeBlocks = function(data) {
   // compression
   switch (this.compressionType) {
     case Zlib.RawDeflate.CompressionType.NONE:
+      // 空の入力でも最終ブロックは必要
+      if (data.length === 0) {
+        push(blocks, this.makeNocompressBlock(data, true));
+      }
+
       // each 65535-Byte (length header: 16-bit)
       for (position = 0, length = data.length; position < length;) {
         blockArray = slice(data, position, 0xffff);
@@ -165,19 +480,22 @@ Zlib.RawDeflate.prototype.makeBlocks = function(data) {
       }
       break;
     case Zlib.RawDeflate.CompressionType.FIXED:
-      push(
-        blocks,
-        this.makeFixedHuffmanBlock(data, true)
-      );
+      // 固定ハフマン符号はブロックを区切っても短くならないので, 非圧縮の方が
+      // 短い場合も含めて全体を 1 つの固定ハフマンブロックにする
+      stream = new Zlib.BitStream();
+      this.writeFixedHuffmanBlock(this.lz77(data), true, stream);
+      push(blocks, stream.finish());
       break;
     case Zlib.RawDeflate.CompressionType.DYNAMIC:
-      push(
-        blocks,
-        this.makeDynamicHuffmanBlock(data, true)
-      );
+      stream = new Zlib.BitStream();
+      this.writeBlocks(data, this.lz77(data), true, stream);
+      push(blocks, stream.finish());
       break;
     default:
-      throw 'invalid compression type';
+      throw new Zlib.ParameterError(
+        'invalid compression type',
+        Zlib.ZlibError.Code.INVALID_COMPRESSION_TYPE
+      );
   }
 
   return blocks;
@@ -221,6 +539,40 @@ function(blockArray, isFinalBlock) {
   return block;
 };
 
+/**
+ * 非圧縮ブロックをビットストリームに書き込む
+ * @param {!(Array|Uint8Array)} blockArray ブロックデータ byte array.
+ * @param {!boolean} isFinalBlock 最後のブロックならばtrue.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} 書き込み後のビットストリーム.
+ */
+Zlib.RawDeflate.prototype.writeNocompressBlock =
+function(blockArray, isFinalBlock, stream) {
+  var bfinal, btype, len, nlen, i, l;
+
+  // header
+  bfinal = isFinalBlock ? 1 : 0;
+  btype = Zlib.RawDeflate.CompressionType.NONE;
+
+  stream.writeBits(bfinal, 1, true);
+  stream.writeBits(btype, 2, true);
+
+  // byte 境界まで 0 で埋める
+  stream.writeBits(0, (8 - stream.bitindex) & 7);
+
+  // length
+  len = blockArray.length;
+  nlen = (~len + 0x10000) & 0xffff;
+  stream.writeBits(len, 16, true);
+  stream.writeBits(nlen, 16, true);
+
+  for (i = 0, l = blockArray.length; i < l; ++i) {
+    stream.writeBits(blockArray[i], 8, true);
+  }
+
+  return stream;
+};
+
 /**
  * 固定ハフマンブロックの作成
  * @param {!(Array|Uint8Array)} blockArray ブロックデータ byte array.
@@ -229,7 +581,23 @@ function(blockArray, isFinalBlock) {
  */
 Zlib.RawDeflate.prototype.makeFixedHuffmanBlock =
 function(blockArray, isFinalBlock) {
-  var stream = new Zlib.BitStream(), bfinal, btype, data;
+  var stream = new Zlib.BitStream();
+
+  this.writeFixedHuffmanBlock(this.lz77(blockArray), isFinalBlock, stream);
+
+  return stream.finish();
+};
+
+/**
+ * 固定ハフマンブロックをビットストリームに書き込む
+ * @param {!(Array|Uint32Array)} data LZ77 符号化済み配列.
+ * @param {!boolean} isFinalBlock 最後のブロックならばtrue.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} 書き込み後のビットストリーム.
+ */
+Zlib.RawDeflate.prototype.writeFixedHuffmanBlock =
+function(data, isFinalBlock, stream) {
+  var bfinal, btype;
 
   // header
   bfinal = isFinalBlock ? 1 : 0;
@@ -238,10 +606,7 @@ function(blockArray, isFinalBlock) {
   stream.writeBits(bfinal, 1, true);
   stream.writeBits(btype, 2, true);
 
-  data = this.lz77(blockArray);
-  data = this.fixedHuffman(data, stream);
-
-  return data;
+  return this.fixedHuffman(data, stream);
 };
 
 /**
@@ -252,30 +617,64 @@ function(blockArray, isFinalBlock) {
  */
 Zlib.RawDeflate.prototype.makeDynamicHuffmanBlock =
 function(blockArray, isFinalBlock) {
-  var stream = new Zlib.BitStream(), bfinal, btype, data,
-      hlit, hdist, hclen,
+  var stream = new Zlib.BitStream();
+
+  this.writeDynamicHuffmanBlock(this.lz77(blockArray), isFinalBlock, stream);
+
+  return stream.finish();
+};
+
+/**
+ * 動的ハフマンブロックをビットストリームに書き込む
+ * 符号長は直前の lz77 で集計した出現頻度から算出する.
+ * @param {!(Array|Uint32Array)} data LZ77 符号化済み配列.
+ * @param {!boolean} isFinalBlock 最後のブロックならばtrue.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} 書き込み後のビットストリーム.
+ */
+Zlib.RawDeflate.prototype.writeDynamicHuffmanBlock =
+function(data, isFinalBlock, stream) {
+  var tree = this.makeDynamicTree_(this.freqsLitLen, this.freqsDist);
+
+  return this.dynamicHuffman(
+    data,
+    [this.getCodesFromLengths_(tree.litLenLengths), tree.litLenLengths],
+    [this.getCodesFromLengths_(tree.distLengths), tree.distLengths],
+    this.writeDynamicTree_(tree, isFinalBlock, stream)
+  );
+};
+
+/**
+ * 出現頻度から動的ハフマンブロックの符号長を決める
+ * @param {!(Array.<number>|Uint32Array)} freqsLitLen リテラル・長さ符号の
+ *     出現頻度.
+ * @param {!(Array.<number>|Uint32Array)} freqsDist 距離符号の出現頻度.
+ * @return {{
+ *     litLenLengths: !(Array.<number>|Uint32Array),
+ *     distLengths: !(Array.<number>|Uint32Array),
+ *     hlit: number,
+ *     hdist: number,
+ *     hclen: number,
+ *     transLengths: !Array.<number>,
+ *     treeCodes: !(Array.<number>|Uint32Array),
+ *     treeLengths: !(Array.<number>|Uint32Array),
+ *     headerBits: number
+ * }} 符号長と, ブロックヘッダ (BFINAL, BTYPE を除く) のビット数.
+ * @private
+ */
+Zlib.RawDeflate.prototype.makeDynamicTree_ = function(freqsLitLen, freqsDist) {
+  var hlit, hdist, hclen,
       hclenOrder =
         [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15],
-      litLenLengths, litLenCodes, distLengths, distCodes,
+      litLenLengths, distLengths,
       treeSymbols, treeLengths,
       transLengths = new Array(19),
-      codeLengths, codeCodes, code, bitlen,
+      headerBits, code,
       i, l;
 
-  // header
-  bfinal = isFinalBlock ? 1 : 0;
-  btype = Zlib.RawDeflate.CompressionType.DYNAMIC;
-
-  stream.writeBits(bfinal, 1, true);
-  stream.writeBits(btype, 2, true);
-
-  data = this.lz77(blockArray);
-
-  // リテラル・長さ, 距離のハフマン符号と符号長の算出
-  litLenLengths = this.getLengths_(this.freqsLitLen);
-  litLenCodes = this.getCodesFromLengths_(litLenLengths);
-  distLengths = this.getLengths_(this.freqsDist);
-  distCodes = this.getCodesFromLengths_(distLengths);
+  // リテラル・長さ, 距離のハフマン符号長の算出
+  litLenLengths = this.getLengths_(freqsLitLen, 15);
+  distLengths = this.getLengths_(freqsDist, 15);
 
   // HLIT, HDIST の決定
   for (hlit = 286; hlit > 257 && litLenLengths[hlit - 1] === 0; hlit--) {}
@@ -290,52 +689,348 @@ function(blockArray, isFinalBlock) {
   }
   for (hclen = 19; hclen > 4 && transLengths[hclen - 1] === 0; hclen--) {}
 
-  codeLengths = this.getLengths_(treeSymbols.freqs);
-  codeCodes = this.getCodesFromLengths_(codeLengths);
+  // HLIT, HDIST, HCLEN, 符号長符号の符号長, 符号化した符号長
+  headerBits = 5 + 5 + 4 + hclen * 3;
+  for (i = 0, l = treeSymbols.codes.length; i < l; i++) {
+    code = treeSymbols.codes[i];
+    headerBits += treeLengths[code];
+    if (code >= 16) {
+      headerBits += Zlib.RawDeflate.TreeExtraBits[code - 16];
+      i++;
+    }
+  }
+
+  return {
+    litLenLengths: litLenLengths,
+    distLengths: distLengths,
+    hlit: hlit,
+    hdist: hdist,
+    hclen: hclen,
+    transLengths: transLengths,
+    treeCodes: treeSymbols.codes,
+    treeLengths: treeLengths,
+    headerBits: headerBits
+  };
+};
 
-  // 出力
-  stream.writeBits(hlit - 257, 5, true);
-  stream.writeBits(hdist - 1, 5, true);
-  stream.writeBits(hclen - 4, 4, true);
-  for (i = 0; i < hclen; i++) {
-    stream.writeBits(transLengths[i], 3, true);
+/**
+ * 動的ハフマンブロックのヘッダをビットストリームに書き込む
+ * @param {!Object} tree makeDynamicTree_ で作成した符号長.
+ * @param {!boolean} isFinalBlock 最後のブロックならばtrue.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} 書き込み後のビットストリーム.
+ * @private
+ */
+Zlib.RawDeflate.prototype.writeDynamicTree_ =
+function(tree, isFinalBlock, stream) {
+  var treeCodes = tree.treeCodes,
+      treeLengths = tree.treeLengths,
+      codeCodes = this.getCodesFromLengths_(treeLengths),
+      code, i, l;
+
+  // header
+  stream.writeBits(isFinalBlock ? 1 : 0, 1, true);
+  stream.writeBits(Zlib.RawDeflate.CompressionType.DYNAMIC, 2, true);
+
+  stream.writeBits(tree.hlit - 257, 5, true);
+  stream.writeBits(tree.hdist - 1, 5, true);
+  stream.writeBits(tree.hclen - 4, 4, true);
+  for (i = 0; i < tree.hclen; i++) {
+    stream.writeBits(tree.transLengths[i], 3, true);
   }
 
   // ツリーの出力
-  for (i = 0, l = treeSymbols.codes.length; i < l; i++) {
-    code = treeSymbols.codes[i];
+  for (i = 0, l = treeCodes.length; i < l; i++) {
+    code = treeCodes[i];
 
-    stream.writeBits(codeCodes[code], codeLengths[code], true);
+    stream.writeBits(codeCodes[code], treeLengths[code], true);
 
     // extra bits
     if (code >= 16) {
-      i++;
-      switch (code) {
-        case 16: bitlen = 2; break;
-        case 17: bitlen = 3; break;
-        case 18: bitlen = 7; break;
-        default:
-          throw 'invalid code: ' + code;
+      stream.writeBits(
+        treeCodes[++i], Zlib.RawDeflate.TreeExtraBits[code - 16], true
+      );
+    }
+  }
+
+  return stream;
+};
+
+/**
+ * LZ77 符号化済み配列を 1 つ以上のブロックに分けてビットストリームに書き込む.
+ * BlockSplitUnit 個ごとに出現頻度を調べ, ハフマン符号を作り直した方が
+ * ヘッダを含めても短くなる位置と, MaxBlockSymbols 個を超える位置でブロックを
+ * 区切る. 各ブロックは非圧縮, 固定ハフマン, 動的ハフマンのうち最も短くなる
+ * 形式で書き込む. compressionType が FIXED の場合は動的ハフマンを使用しない.
+ * @param {!(Array.<number>|Uint8Array)} data plain data byte array.
+ * @param {!(Array|Uint32Array)} lz77buf data を LZ77 符号化した配列.
+ * @param {!boolean} isFinalBlock 最後のブロックを含むならばtrue.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} 書き込み後のビットストリーム.
+ */
+Zlib.RawDeflate.prototype.writeBlocks =
+function(data, lz77buf, isFinalBlock, stream) {
+  var dynamic =
+        this.compressionType === Zlib.RawDeflate.CompressionType.DYNAMIC,
+      unit = Zlib.RawDeflate.BlockSplitUnit,
+      end = lz77buf.length,
+      position = 0,
+      start = 0,
+      block, blockBits = 0,
+      segment, segmentBits = 0,
+      joined, joinedBits = 0,
+      split, i, next;
+
+  // 終端符号は各ブロックの最後に書き込む
+  if (end > 0 && lz77buf[end - 1] === 256) {
+    end--;
+  }
+
+  i = end < unit ? end : unit;
+  block = this.getBlockStats_(lz77buf, 0, i);
+  if (dynamic) {
+    blockBits = this.getDynamicBlockBits_(block);
+  }
+
+  for (; i < end; i = next) {
+    next = i + unit < end ? i + unit : end;
+    segment = this.getBlockStats_(lz77buf, i, next);
+    joined = this.mergeBlockStats_(block, segment);
+    split = next - start > Zlib.RawDeflate.MaxBlockSymbols;
+
+    if (dynamic) {
+      segmentBits = this.getDynamicBlockBits_(segment);
+      joinedBits = this.getDynamicBlockBits_(joined);
+      if (blockBits + segmentBits < joinedBits) {
+        split = true;
       }
+    }
 
-      stream.writeBits(treeSymbols.codes[i], bitlen, true);
+    if (split) {
+      this.writeBlock_(data, position, lz77buf, start, i, block, false, stream);
+      position += block.length;
+      start = i;
+      block = segment;
+      blockBits = segmentBits;
+    } else {
+      block = joined;
+      blockBits = joinedBits;
     }
   }
 
+  return this.writeBlock_(
+    data, position, lz77buf, start, end, block, isFinalBlock, stream
+  );
+};
+
+/**
+ * 1 ブロック分の LZ77 符号を最も短くなる形式で書き込む
+ * @param {!(Array.<number>|Uint8Array)} data plain data byte array.
+ * @param {number} position ブロックの先頭に対応する data の位置.
+ * @param {!(Array|Uint32Array)} lz77buf LZ77 符号化済み配列.
+ * @param {number} start ブロックの先頭の LZ77 符号の位置.
+ * @param {number} end ブロックの末尾の LZ77 符号の位置 (含まない).
+ * @param {!Object} stats getBlockStats_ で集計した出現頻度.
+ * @param {!boolean} isFinalBlock 最後のブロックならばtrue.
+ * @param {!Zlib.BitStream} stream 書き込み用ビットストリーム.
+ * @return {!Zlib.BitStream} 書き込み後のビットストリーム.
+ * @private
+ */
+Zlib.RawDeflate.prototype.writeBlock_ = function(
+  data, position, lz77buf, start, end, stats, isFinalBlock, stream
+) {
+  var length = stats.length,
+      fixedLengths = Zlib.RawDeflate.FixedHuffmanLengths,
+      storedBits, fixedBits, dynamicBits = Infinity,
+      tree = null, litLenCodes, blockArray, limit, buffer;
+
+  // 非圧縮: ヘッダ, バイト境界までのパディング, LEN, NLEN とデータ.
+  // 65535 バイトを超える場合は 2 つ目以降のブロックはバイト境界から始まる
+  storedBits = 3 + ((8 - ((stream.bitindex + 3) & 7)) & 7) + 32 + length * 8;
+  if (length > 0xffff) {
+    storedBits += (((length - 1) / 0xffff) | 0) * 40;
+  }
+
+  fixedBits = 3 + this.getBlockBits_(stats, fixedLengths[0], fixedLengths[1]);
+
+  if (this.compressionType === Zlib.RawDeflate.CompressionType.DYNAMIC) {
+    tree = this.makeDynamicTree_(stats.litLen, stats.dist);
+    dynamicBits = 3 + tree.headerBits +
+      this.getBlockBits_(stats, tree.litLenLengths, tree.distLengths);
+  }
+
+  // 非圧縮
+  if (storedBits <= fixedBits && storedBits <= dynamicBits) {
+    limit = position + length;
+    do {
+      blockArray = slice(
+        data, position, limit - position < 0xffff ? limit - position : 0xffff
+      );
+      position += blockArray.length;
+      this.writeNocompressBlock(
+        blockArray, isFinalBlock && position === limit, stream
+      );
+    } while (position < limit);
+
+    return stream;
+  }
+
+  buffer = USE_TYPEDARRAY ?
+    lz77buf.subarray(start, end) : lz77buf.slice(start, end);
+
+  // 固定ハフマン
+  if (fixedBits <= dynamicBits) {
+    this.writeFixedHuffmanBlock(buffer, isFinalBlock, stream);
+    Zlib.BitStream.prototype.writeBits.apply(
+      stream,
+      Zlib.RawDeflate.FixedHuffmanTable[256]
+    );
+
+    return stream;
+  }
+
+  // 動的ハフマン
+  litLenCodes = this.getCodesFromLengths_(tree.litLenLengths);
   this.dynamicHuffman(
-    data,
-    [litLenCodes, litLenLengths],
-    [distCodes, distLengths],
-    stream
+    buffer,
+    [litLenCodes, tree.litLenLengths],
+    [this.getCodesFromLengths_(tree.distLengths), tree.distLengths],
+    this.writeDynamicTree_(tree, isFinalBlock, stream)
   );
+  stream.writeBits(litLenCodes[256], tree.litLenLengths[256], true);
 
-  return stream.finish();
+  return stream;
 };
 
+/**
+ * LZ77 符号化済み配列の範囲のシンボルの出現頻度を集計する.
+ * 終端符号はブロックごとに 1 つ書き込むので出現数を 1 とする.
+ * @param {!(Array|Uint32Array)} lz77buf LZ77 符号化済み配列.
+ * @param {number} start 集計する範囲の先頭.
+ * @param {number} end 集計する範囲の末尾 (含まない).
+ * @return {{
+ *     litLen: !(Array.<number>|Uint32Array),
+ *     dist: !(Array.<number>|Uint32Array),
+ *     extraBits: number,
+ *     length: number
+ * }} リテラル・長さ符号, 距離符号の出現頻度, 拡張ビットの合計ビット数と
+ *     平文のバイト数.
+ * @private
+ */
+Zlib.RawDeflate.prototype.getBlockStats_ = function(lz77buf, start, end) {
+  var litLen = new (USE_TYPEDARRAY ? Uint32Array : Array)(286),
+      dist = new (USE_TYPEDARRAY ? Uint32Array : Array)(30),
+      extraBits = 0,
+      length = 0,
+      literal, code, i;
+
+  if (!USE_TYPEDARRAY) {
+    for (i = 0; i < 286; i++) {
+      litLen[i] = 0;
+    }
+    for (i = 0; i < 30; i++) {
+      dist[i] = 0;
+    }
+  }
+
+  for (i = start; i < end; ++i) {
+    literal = lz77buf[i];
+
+    // 長さ・距離符号
+    if (literal > 0xffff) {
+      code = Zlib.RawDeflate.LengthCodeTable[literal >>> 16];
+      litLen[code & 0xffff]++;
+      extraBits += code >>> 24;
+      code = Zlib.RawDeflate.DistCodeTable[literal & 0xffff];
+      dist[code & 0xff]++;
+      extraBits += code >>> 24;
+      length += literal >>> 16;
+    // リテラル
+    } else {
+      litLen[literal]++;
+      length++;
+    }
+  }
+  litLen[256] = 1;
+
+  return {
+    litLen: litLen,
+    dist: dist,
+    extraBits: extraBits,
+    length: length
+  };
+};
+
+/**
+ * 連続する 2 つの範囲の出現頻度を合算する
+ * @param {!Object} a getBlockStats_ で集計した出現頻度.
+ * @param {!Object} b a の直後の範囲の出現頻度.
+ * @return {!Object} 合算した出現頻度.
+ * @private
+ */
+Zlib.RawDeflate.prototype.mergeBlockStats_ = function(a, b) {
+  var litLen = new (USE_TYPEDARRAY ? Uint32Array : Array)(286),
+      dist = new (USE_TYPEDARRAY ? Uint32Array : Array)(30),
+      i;
+
+  for (i = 0; i < 286; i++) {
+    litLen[i] = a.litLen[i] + b.litLen[i];
+  }
+  for (i = 0; i < 30; i++) {
+    dist[i] = a.dist[i] + b.dist[i];
+  }
+  litLen[256] = 1;
+
+  return {
+    litLen: litLen,
+    dist: dist,
+    extraBits: a.extraBits + b.extraBits,
+    length: a.length + b.length
+  };
+};
+
+/**
+ * 符号長を指定して出現頻度からブロックの符号部分のビット数を求める
+ * @param {!Object} stats getBlockStats_ で集計した出現頻度.
+ * @param {!(Array.<number>|Uint32Array)} litLenLengths リテラル・長さ符号の
+ *     符号長.
+ * @param {!(Array.<number>|Uint32Array)} distLengths 距離符号の符号長.
+ * @return {number} 拡張ビットと終端符号を含むビット数.
+ * @private
+ */
+Zlib.RawDeflate.prototype.getBlockBits_ =
+function(stats, litLenLengths, distLengths) {
+  var bits = stats.extraBits,
+      litLen = stats.litLen,
+      dist = stats.dist,
+      i;
+
+  for (i = 0; i < 286; i++) {
+    bits += litLen[i] * litLenLengths[i];
+  }
+  for (i = 0; i < 30; i++) {
+    bits += dist[i] * distLengths[i];
+  }
+
+  return bits;
+};
+
+/**
+ * 出現頻度から動的ハフマンブロックのビット数を求める
+ * @param {!Object} stats getBlockStats_ で集計した出現頻度.
+ * @return {number} ブロックヘッダを含むビット数.
+ * @private
+ */
+Zlib.RawDeflate.prototype.getDynamicBlockBits_ = function(stats) {
+  var tree = this.makeDynamicTree_(stats.litLen, stats.dist);
+
+  return 3 + tree.headerBits +
+    this.getBlockBits_(stats, tree.litLenLengths, tree.distLengths);
+};
 
 /**
  * 動的ハフマン符号化(カスタムハフマンテーブル)
- * @param {!(Array|Uint16Array)} dataArray LZ77 符号化済み byte array.
+ * @param {!(Array|Uint32Array)} dataArray LZ77 符号化済み配列.
  * @param {Zlib.BitStream=} stream 書き込み用ビットストリーム.
  * @return {!Zlib.BitStream} ハフマン符号化済みビットストリームオブジェクト.
  */
@@ -357,20 +1052,26 @@ function(dataArray, litLen, dist, stream) {
   for (index = 0, length = dataArray.length; index < length; ++index) {
     literal = dataArray[index];
 
-    // literal or length
+    // 長さ・距離符号
+    if (literal > 0xffff) {
+      // length and length extra
+      code = Zlib.RawDeflate.LengthCodeTable[literal >>> 16];
+      stream.writeBits(
+        litLenCodes[code & 0xffff], litLenLengths[code & 0xffff], true
+      );
+      stream.writeBits((code >>> 16) & 0xff, code >>> 24, true);
+      // distance and distance extra
+      code = Zlib.RawDeflate.DistCodeTable[literal & 0xffff];
+      stream.writeBits(distCodes[code & 0xff], distLengths[code & 0xff], true);
+      stream.writeBits((code >>> 8) & 0xffff, code >>> 24, true);
+      continue;
+    }
+
+    // literal
     stream.writeBits(litLenCodes[literal], litLenLengths[literal], true);
 
-    // 長さ・距離符号
-    if (literal > 256) {
-      // length extra
-      stream.writeBits(dataArray[++index], dataArray[++index], true);
-      // distance
-      code = dataArray[++index];
-      stream.writeBits(distCodes[code], distLengths[code], true);
-      // distance extra
-      stream.writeBits(dataArray[++index], dataArray[++index], true);
     // 終端
-    } else if (literal === 256) {
+    if (literal === 256) {
       break;
     }
   }
@@ -380,9 +1081,9 @@ function(dataArray, litLen, dist, stream) {
 
 /**
  * 固定ハフマン符号化
- * @param {!(Array|Uint16Array)} dataArray LZ77 符号化済み byte array.
+ * @param {!(Array|Uint32Array)} dataArray LZ77 符号化済み配列.
  * @param {Zlib.BitStream=} stream 書き込み用ビットストリーム.
- * @return {!(Array|Uint8Array)} ハフマン符号化済み byte array.
+ * @return {!Zlib.BitStream} ハフマン符号化済みビットストリームオブジェクト.
  */
 Zlib.RawDeflate.prototype.fixedHuffman = function(dataArray, stream) {
   var index, length, literal, code, bitlen, extra;
@@ -395,45 +1096,43 @@ Zlib.RawDeflate.prototype.fixedHuffman = function(dataArray, stream) {
   for (index = 0, length = dataArray.length; index < length; index++) {
     literal = dataArray[index];
 
+    // 長さ・距離符号
+    if (literal > 0xffff) {
+      // length and length extra
+      code = Zlib.RawDeflate.LengthCodeTable[literal >>> 16];
+      Zlib.BitStream.prototype.writeBits.apply(
+        stream,
+        Zlib.RawDeflate.FixedHuffmanTable[code & 0xffff]
+      );
+      stream.writeBits((code >>> 16) & 0xff, code >>> 24, true);
+      // distance and distance extra
+      code = Zlib.RawDeflate.DistCodeTable[literal & 0xffff];
+      stream.writeBits(code & 0xff, 5);
+      stream.writeBits((code >>> 8) & 0xffff, code >>> 24, true);
+      continue;
+    }
+
     // 符号の書き込み
     Zlib.BitStream.prototype.writeBits.apply(
       stream,
       Zlib.RawDeflate.FixedHuffmanTable[literal]
     );
 
-    // 長さ・距離符号
-    if (literal > 0x100) {
-      // length extra
-      stream.writeBits(dataArray[++index], dataArray[++index], true);
-      // distance
-      stream.writeBits(dataArray[++index], 5);
-      // distance extra
-      stream.writeBits(dataArray[++index], dataArray[++index], true);
     // 終端
-    } else if (literal === 0x100) {
+    if (literal === 0x100) {
       break;
     }
   }
 
-  return stream.finish();
+  return stream;
 };
 
-/**
- * マッチ情報
- * @param {!number} length マッチした長さ.
- * @param {!number} backwordDistance マッチ位置との距離.
- * @constructor
- */
-function Lz77Match(length, backwordDistance) {
-  this.length = length;
-  this.backwordDistance = backwordDistance;
-}
 /**
  * 長さ符号テーブル.
- * [コード, 拡張ビット, 拡張ビット長] の配列となっている.
- * @const {Array.<Array.<number>>}
+ * マッチ長ごとに (拡張ビット長 << 24) | (拡張ビット << 16) | コード の形式.
+ * @const {!(Array.<number>|Uint32Array)}
  */
-Lz77Match.LengthCodeTable = (function(table) {
+Zlib.RawDeflate.LengthCodeTable = (function(table) {
   return USE_TYPEDARRAY ? new Uint32Array(table) : table;
 })((function() {
   var table = [];
@@ -476,7 +1175,10 @@ Lz77Match.LengthCodeTable = (function(table) {
       case (length <= 226): return [283, length - 195, 5]; break;
       case (length <= 257): return [284, length - 227, 5]; break;
       case (length === 258): return [285, length - 258, 0]; break;
-      default: throw 'invalid length: ' + length;
+      default:
+        throw new Zlib.ZlibError(
+          'invalid length: ' + length, Zlib.ZlibError.Code.INTERNAL
+        );
     }
   };
 
@@ -484,85 +1186,91 @@ Lz77Match.LengthCodeTable = (function(table) {
 })());
 
 /**
- * 距離符号テーブル
- * @param {!number} dist 距離.
- * @return {!Array.<number>} コード、拡張ビット、拡張ビット長の配列.
- * @private
+ * 距離符号テーブル.
+ * 距離ごとに (拡張ビット長 << 24) | (拡張ビット << 8) | コード の形式.
+ * @const {!(Array.<number>|Uint32Array)}
  */
-Lz77Match.prototype.getDistanceCode_ = function(dist) {
-  var r;
-
-  switch (true) {
-    case (dist === 1): r = [0, dist - 1, 0]; break;
-    case (dist === 2): r = [1, dist - 2, 0]; break;
-    case (dist === 3): r = [2, dist - 3, 0]; break;
-    case (dist === 4): r = [3, dist - 4, 0]; break;
-    case (dist <= 6): r = [4, dist - 5, 1]; break;
-    case (dist <= 8): r = [5, dist - 7, 1]; break;
-    case (dist <= 12): r = [6, dist - 9, 2]; break;
-    case (dist <= 16): r = [7, dist - 13, 2]; break;
-    case (dist <= 24): r = [8, dist - 17, 3]; break;
-    case (dist <= 32): r = [9, dist - 25, 3]; break;
-    case (dist <= 48): r = [10, dist - 33, 4]; break;
-    case (dist <= 64): r = [11, dist - 49, 4]; break;
-    case (dist <= 96): r = [12, dist - 65, 5]; break;
-    case (dist <= 128): r = [13, dist - 97, 5]; break;
-    case (dist <= 192): r = [14, dist - 129, 6]; break;
-    case (dist <= 256): r = [15, dist - 193, 6]; break;
-    case (dist <= 384): r = [16, dist - 257, 7]; break;
-    case (dist <= 512): r = [17, dist - 385, 7]; break;
-    case (dist <= 768): r = [18, dist - 513, 8]; break;
-    case (dist <= 1024): r = [19, dist - 769, 8]; break;
-    case (dist <= 1536): r = [20, dist - 1025, 9]; break;
-    case (dist <= 2048): r = [21, dist - 1537, 9]; break;
-    case (dist <= 3072): r = [22, dist - 2049, 10]; break;
-    case (dist <= 4096): r = [23, dist - 3073, 10]; break;
-    case (dist <= 6144): r = [24, dist - 4097, 11]; break;
-    case (dist <= 8192): r = [25, dist - 6145, 11]; break;
-    case (dist <= 12288): r = [26, dist - 8193, 12]; break;
-    case (dist <= 16384): r = [27, dist - 12289, 12]; break;
-    case (dist <= 24576): r = [28, dist - 16385, 13]; break;
-    case (dist <= 32768): r = [29, dist - 24577, 13]; break;
-    default: throw 'invalid distance';
-  }
-
-  return r;
-};
+Zlib.RawDeflate.DistCodeTable = (function() {
+  /** @type {!(Array.<number>|Uint32Array)} */
+  var table =
+    new (USE_TYPEDARRAY ? Uint32Array : Array)(Zlib.RawDeflate.WindowSize + 1);
+  /** @type {number} distance code. */
+  var code;
+  /** @type {number} base distance of the code. */
+  var base = 1;
+  /** @type {number} extra bits length. */
+  var bitlen;
+  /** @type {number} loop counter. */
+  var i;
+
+  // 符号 0-3 は拡張ビットなし, 以降は 2 符号ごとに拡張ビットが 1 増える
+  for (code = 0; code < 30; ++code) {
+    bitlen = code < 4 ? 0 : (code >> 1) - 1;
+    for (i = 0; i < 1 << bitlen; ++i) {
+      table[base + i] = (bitlen << 24) | (i << 8) | code;
+    }
+    base += 1 << bitlen;
+  }
+
+  return table;
+})();
 
 /**
- * マッチ情報を LZ77 符号化配列で返す.
- * なお、ここでは以下の内部仕様で符号化している
- * [ CODE, EXTRA-BIT-LEN, EXTRA, CODE, EXTRA-BIT-LEN, EXTRA ]
- * @return {!Array} LZ77 符号化 byte array.
+ * LZ77 のハッシュ値のビット数
+ * @type {number}
+ * @const
  */
-Lz77Match.prototype.toLz77Array = function() {
-  var length = this.length,
-      dist = this.backwordDistance,
-      codeArray = [];
-  var pos = 0;
-  var code;
+Zlib.RawDeflate.HashBits = 15;
 
-  // length
-  code = Lz77Match.LengthCodeTable[length];
-  codeArray[pos++] = code & 0xffff;
-  codeArray[pos++] = (code >> 16) & 0xff;
-  codeArray[pos++] = code >> 24;
-
-  // distance
-  code = this.getDistanceCode_(dist);
-  codeArray[pos++] = code[0];
-  codeArray[pos++] = code[1];
-  codeArray[pos++] = code[2];
-
-  return codeArray;
+/**
+ * LZ77 の chained-hash-table.
+ * head はハッシュ値ごとの最新の位置, prev は各位置と同じハッシュ値を持つ
+ * 一つ前の位置で, prev はウィンドウサイズで循環させる.
+ * 位置はデータ上の位置に base を足した値で保持するので, データを前方に
+ * 詰める時は base を増やすだけで良い.
+ * @param {number} windowSize window size (power of 2).
+ * @constructor
+ */
+Zlib.RawDeflate.HashChain = function(windowSize) {
+  /** @type {number} loop counter. */
+  var i;
+
+  /** @type {!(Array.<number>|Int32Array)} */
+  this.head = new (USE_TYPEDARRAY ? Int32Array : Array)(
+    1 << Zlib.RawDeflate.HashBits
+  );
+  /** @type {!(Array.<number>|Int32Array)} */
+  this.prev = new (USE_TYPEDARRAY ? Int32Array : Array)(windowSize);
+  /** @type {number} */
+  this.mask = windowSize - 1;
+  /** @type {number} */
+  this.base = 0;
+
+  // -1 は候補なし
+  for (i = 0; i < this.head.length; ++i) {
+    this.head[i] = -1;
+  }
 };
 
 /**
  * LZ77 実装
+ * opt_start より前のデータはスライド窓として参照のみ行い, 符号化はしない.
+ * opt_chain を省略した場合は新しい chained-hash-table に opt_start より前の
+ * 位置を登録してから符号化する. opt_start も省略した場合は, プリセット辞書が
+ * 設定されていれば辞書をスライド窓の初期値として使用する.
+ *
+ * 出力は 1 要素が 1 シンボルで, リテラルと終端符号 (256) はその値,
+ * マッチは (長さ << 16) | 距離 となる.
  * @param {!(Array|Uint8Array)} dataArray LZ77 符号化するバイト配列.
- * @return {!(Array|Uint16Array)} LZ77 符号化した配列.
+ * @param {number=} opt_start 符号化開始位置.
+ * @param {Zlib.RawDeflate.HashChain=} opt_chain 引き継ぐ chained-hash-table.
+ * @return {!(Array|Uint32Array)} LZ77 符号化した配列.
  */
-Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
+Zlib.RawDeflate.prototype.lz77 = function(dataArray, opt_start, opt_chain) {
+  /** @type {(Array.<number>|Uint8Array)} preset dictionary */
+  var dictionary = this.dictionary;
+  /** @type {number} 符号化開始位置 */
+  var start = opt_start | 0;
   /** @type {number} input position */
   var position;
   /** @type {number} input length */
@@ -571,31 +1279,48 @@ Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
   var i;
   /** @type {number} loop limiter */
   var il;
-  /** @type {number} chained-hash-table key */
-  var matchKey;
-  /** @type {Object.<Array.<Array.<number>>>} chained-hash-table */
-  var table = {};
-  /** @const {number} */
-  var windowSize = Zlib.RawDeflate.WindowSize;
-  /** @type {Array.<Array.<number>>} match list */
-  var matchList;
-  /** @type {Lz77Match} longest match */
+  /** @type {!Zlib.RawDeflate.HashChain} chained-hash-table */
+  var chain = opt_chain || new Zlib.RawDeflate.HashChain(this.windowSize);
+  /** @type {!(Array.<number>|Int32Array)} */
+  var head = chain.head;
+  /** @type {!(Array.<number>|Int32Array)} */
+  var prev = chain.prev;
+  /** @type {number} */
+  var mask = chain.mask;
+  /** @type {number} hash mask */
+  var hashMask = (1 << Zlib.RawDeflate.HashBits) - 1;
+  /** @type {number} hash value */
+  var hash;
+  /** @type {number} longest match */
   var longestMatch;
-  /** @type {Lz77Match} previous longest match */
-  var prevMatch;
-  /** @type {!(Array.<number>|Uint16Array)} lz77 buffer */
-  var lz77buf = USE_TYPEDARRAY ?
-    new Uint16Array(dataArray.length * 2) : new Array();
+  /** @type {number} previous longest match (0: none) */
+  var prevMatch = 0;
+  /** @type {!(Array.<number>|Uint32Array)} lz77 buffer */
+  var lz77buf;
   /** @type {number} lz77 output buffer pointer */
   var pos = 0;
   /** @type {number} lz77 skip length */
   var skipLength = 0;
+  /** @type {boolean} skip 中の位置をハッシュテーブルに登録するか */
+  var skipInsert = true;
   /** @type {(Array.<number>|Uint32Array)} */
   var freqsLitLen = new (USE_TYPEDARRAY ? Uint32Array : Array)(286);
   /** @type {(Array.<number>|Uint32Array)} */
   var freqsDist = new (USE_TYPEDARRAY ? Uint32Array : Array)(30);
+  /** @type {!(Array.<number>|Uint32Array)} */
+  var lengthCodeTable = Zlib.RawDeflate.LengthCodeTable;
+  /** @type {!(Array.<number>|Uint32Array)} */
+  var distCodeTable = Zlib.RawDeflate.DistCodeTable;
+  /** @type {Zlib.RawDeflate.Strategy} */
+  var strategy = this.strategy;
+  /** @type {number} RLE は遅延評価しない */
+  var lazy = strategy === Zlib.RawDeflate.Strategy.RLE ? 0 : this.lazy;
+  /** @type {number} */
+  var maxChain = this.maxChain;
+  /** @type {number} */
+  var goodLength = this.goodLength;
   /** @type {number} */
-  var lazy = this.lazy;
+  var maxInsertLength = this.maxInsertLength;
   /** @type {*} temporary variable */
   var tmp;
 
@@ -606,55 +1331,77 @@ Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
   }
   freqsLitLen[256] = 1; // EOB の最低出現回数は 1
 
+  if (opt_chain === void 0) {
+    // プリセット辞書を前方に連結する
+    if (dictionary && opt_start === void 0) {
+      start = dictionary.length;
+      tmp = new (USE_TYPEDARRAY ? Uint8Array : Array)(start + dataArray.length);
+      for (i = 0; i < start; ++i) {
+        tmp[i] = dictionary[i];
+      }
+      for (i = 0, il = dataArray.length; i < il; ++i) {
+        tmp[start + i] = dataArray[i];
+      }
+      dataArray = tmp;
+    }
+
+    // スライド窓をハッシュテーブルに登録しておく
+    this.lz77Register(dataArray, 0, start, chain);
+  }
+
+  if (this.optimal && strategy !== Zlib.RawDeflate.Strategy.HUFFMAN_ONLY &&
+      strategy !== Zlib.RawDeflate.Strategy.RLE) {
+    return this.lz77Optimal_(dataArray, start, chain);
+  }
+
+  // 出力は 1 byte あたり最大 1 要素と終端符号
+  lz77buf = USE_TYPEDARRAY ?
+    new Uint32Array(dataArray.length - start + 1) : new Array();
+
   /**
    * マッチデータの書き込み
-   * @param {Lz77Match} match LZ77 Match data.
+   * @param {number} match (長さ << 16) | 距離.
    * @param {!number} offset スキップ開始位置(相対指定).
    * @private
    */
   function writeMatch(match, offset) {
-    var lz77Array = match.toLz77Array();
-    var i;
-    var il;
-
-    for (i = 0, il = lz77Array.length; i < il; ++i) {
-      lz77buf[pos++] = lz77Array[i];
-    }
-    freqsLitLen[lz77Array[0]]++;
-    freqsDist[lz77Array[3]]++;
-    skipLength = match.length + offset - 1;
-    prevMatch = null;
+    lz77buf[pos++] = match;
+    freqsLitLen[lengthCodeTable[match >>> 16] & 0xffff]++;
+    freqsDist[distCodeTable[match & 0xffff] & 0xff]++;
+    skipLength = (match >>> 16) + offset - 1;
+    skipInsert = (match >>> 16) <= maxInsertLength;
+    prevMatch = 0;
   }
 
   // LZ77 符号化
-  for (position = 0, length = dataArray.length; position < length; ++position) {
-    // ハッシュキーの作成
-    for (matchKey = 0, i = 0, il = Zlib.RawDeflate.Lz77MinLength; i < il; ++i) {
-      if (position + i === length) {
-        break;
-      }
-      matchKey = (matchKey << 8) | dataArray[position + i];
+  for (position = start, length = dataArray.length; position < length;
+       ++position) {
+    // ハフマン符号化のみの場合はマッチを探さない
+    if (strategy === Zlib.RawDeflate.Strategy.HUFFMAN_ONLY) {
+      tmp = dataArray[position];
+      lz77buf[pos++] = tmp;
+      ++freqsLitLen[tmp];
+      continue;
     }
 
-    // テーブルが未定義だったら作成する
-    if (table[matchKey] === void 0) { table[matchKey] = []; }
-    matchList = table[matchKey];
-
     // skip
     if (skipLength-- > 0) {
-      matchList.push(position);
+      // データ末尾の不完全なキーは登録しない (次の入力と連結した時に誤る)
+      if (skipInsert && position + Zlib.RawDeflate.Lz77MinLength <= length) {
+        hash = ((dataArray[position] << 10) ^ (dataArray[position + 1] << 5) ^
+                dataArray[position + 2]) & hashMask;
+        prev[(position + chain.base) & mask] = head[hash];
+        head[hash] = position + chain.base;
+      }
       continue;
     }
 
-    // マッチテーブルの更新 (最大戻り距離を超えているものを削除する)
-    while (matchList.length > 0 && position - matchList[0] > windowSize) {
-      matchList.shift();
-    }
-
     // データ末尾でマッチしようがない場合はそのまま流しこむ
     if (position + Zlib.RawDeflate.Lz77MinLength >= length) {
+      // 遅延評価中のマッチが覆う範囲はリテラルとして出力しない
       if (prevMatch) {
         writeMatch(prevMatch, -1);
+        position += skipLength + 1;
       }
 
       for (i = 0, il = length - position; i < il; ++i) {
@@ -666,12 +1413,29 @@ Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
     }
 
     // マッチ候補から最長のものを探す
-    if (matchList.length > 0) {
-      longestMatch = this.searchLongestMatch_(dataArray, position, matchList);
+    hash = ((dataArray[position] << 10) ^ (dataArray[position + 1] << 5) ^
+            dataArray[position + 2]) & hashMask;
+    if (strategy === Zlib.RawDeflate.Strategy.RLE) {
+      longestMatch = this.searchRun_(dataArray, position);
+    } else {
+      longestMatch = head[hash] < 0 ? 0 : this.searchLongestMatch_(
+        dataArray, position, chain, head[hash],
+        // 遅延評価中のマッチが十分に長ければ探索を減らす
+        prevMatch && (prevMatch >>> 16) >= goodLength ?
+          maxChain >> 2 : maxChain
+      );
 
+      // 短いマッチは使わずリテラルとして出力する
+      if (strategy === Zlib.RawDeflate.Strategy.FILTERED &&
+          (longestMatch >>> 16) <= Zlib.RawDeflate.FilteredMaxLength) {
+        longestMatch = 0;
+      }
+    }
+
+    if (longestMatch) {
       if (prevMatch) {
         // 現在のマッチの方が前回のマッチよりも長い
-        if (prevMatch.length < longestMatch.length) {
+        if ((prevMatch >>> 16) < (longestMatch >>> 16)) {
           // write previous literal
           tmp = dataArray[position - 1];
           lz77buf[pos++] = tmp;
@@ -683,7 +1447,7 @@ Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
           // write previous match
           writeMatch(prevMatch, -1);
         }
-      } else if (longestMatch.length < lazy) {
+      } else if ((longestMatch >>> 16) < lazy) {
         prevMatch = longestMatch;
       } else {
         writeMatch(longestMatch, 0);
@@ -697,7 +1461,9 @@ Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
       ++freqsLitLen[tmp];
     }
 
-    matchList.push(position); // マッチテーブルに現在の位置を保存
+    // マッチテーブルに現在の位置を保存
+    prev[(position + chain.base) & mask] = head[hash];
+    head[hash] = position + chain.base;
   }
 
   // 終端処理
@@ -706,34 +1472,86 @@ Zlib.RawDeflate.prototype.lz77 = function(dataArray) {
   this.freqsLitLen = freqsLitLen;
   this.freqsDist = freqsDist;
 
-  return /** @type {!(Uint16Array|Array)} */ (
+  return /** @type {!(Uint32Array|Array)} */ (
     USE_TYPEDARRAY ?  lz77buf.subarray(0, pos) : lz77buf
   );
 };
 
+/**
+ * chained-hash-table に位置を登録する
+ * データ末尾でキーが不完全になる位置は登録しない.
+ * @param {!(Array|Uint8Array)} dataArray plain data byte array.
+ * @param {number} start 登録開始位置.
+ * @param {number} end 登録終了位置.
+ * @param {!Zlib.RawDeflate.HashChain} chain chained-hash-table.
+ */
+Zlib.RawDeflate.prototype.lz77Register =
+function(dataArray, start, end, chain) {
+  /** @type {number} input position */
+  var position;
+  /** @type {number} hash value */
+  var hash;
+  /** @type {number} hash mask */
+  var hashMask = (1 << Zlib.RawDeflate.HashBits) - 1;
+
+  if (end > dataArray.length - Zlib.RawDeflate.Lz77MinLength + 1) {
+    end = dataArray.length - Zlib.RawDeflate.Lz77MinLength + 1;
+  }
+
+  for (position = start; position < end; ++position) {
+    hash = ((dataArray[position] << 10) ^ (dataArray[position + 1] << 5) ^
+            dataArray[position + 2]) & hashMask;
+    chain.prev[(position + chain.base) & chain.mask] = chain.head[hash];
+    chain.head[hash] = position + chain.base;
+  }
+};
+
 /**
  * マッチした候補の中から最長一致を探す
- * @param {!Object} data plain data byte array.
+ * ハッシュ値が衝突した候補は先頭 3 byte を比較して除く. level を指定した
+ * 場合は探索の手間を制限するため, 除いた候補も maxChain に数える.
+ * @param {!(Array|Uint8Array)} data plain data byte array.
  * @param {!number} position plain data byte array position.
- * @param {!Array.<number>} matchList 候補となる位置の配列.
- * @return {!Lz77Match} 最長かつ最短距離のマッチオブジェクト.
+ * @param {!Zlib.RawDeflate.HashChain} chain chained-hash-table.
+ * @param {number} candidate 最新の候補の位置 (chain.base を含む).
+ * @param {number} maxChain 調べる候補の最大数.
+ * @return {number} 最長かつ最短距離のマッチ ((長さ << 16) | 距離).
+ *     マッチがない場合は 0.
  * @private
  */
 Zlib.RawDeflate.prototype.searchLongestMatch_ =
-function(data, position, matchList) {
+function(data, position, chain, candidate, maxChain) {
   var match,
-      currentMatch,
+      currentMatch = 0,
       matchMax = 0, matchLength,
-      i, j, l, dl = data.length;
-
-  // 候補を後ろから 1 つずつ絞り込んでゆく
+      niceLength = this.niceLength,
+      countCollisions = this.countCollisions,
+      prev = chain.prev, mask = chain.mask, base = chain.base,
+      limit = position + base - this.windowSize,
+      c0 = data[position], c1 = data[position + 1], c2 = data[position + 2],
+      j, dl = data.length;
+
+  // 候補を新しいものから 1 つずつ絞り込んでゆく
   permatch:
-  for (i = 0, l = matchList.length; i < l; i++) {
-    match = matchList[l - i - 1];
+  for (; candidate >= 0 && candidate >= limit && maxChain > 0;
+       candidate = prev[candidate & mask]) {
+    match = candidate - base;
+    if (data[match] !== c0 || data[match + 1] !== c1 ||
+        data[match + 2] !== c2) {
+      if (countCollisions) {
+        --maxChain;
+      }
+      continue;
+    }
+    --maxChain;
     matchLength = Zlib.RawDeflate.Lz77MinLength;
 
     // 前回までの最長一致を末尾から一致検索する
     if (matchMax > Zlib.RawDeflate.Lz77MinLength) {
+      // 前回までの最長一致より長くならない候補は採用しないので先に除く
+      if (data[match + matchMax] !== data[position + matchMax]) {
+        continue;
+      }
       for (j = matchMax; j > Zlib.RawDeflate.Lz77MinLength; j--) {
         if (data[match + j - 1] !== data[position + j - 1]) {
           continue permatch;
@@ -755,13 +1573,348 @@ function(data, position, matchList) {
       matchMax = matchLength;
     }
 
-    // 最長が確定したら後の処理は省略
-    if (matchLength === Zlib.RawDeflate.Lz77MaxLength) {
+    // 十分な長さのマッチが見つかったら後の処理は省略
+    if (matchLength >= niceLength) {
       break;
     }
   }
 
-  return new Lz77Match(matchMax, position - currentMatch);
+  return matchMax ? (matchMax << 16) | (position - currentMatch) : 0;
+};
+
+/**
+ * 直前のバイトの繰り返しを距離 1 のマッチとして探す (RLE)
+ * @param {!(Array|Uint8Array)} data plain data byte array.
+ * @param {!number} position plain data byte array position.
+ * @return {number} (長さ << 16) | 1. マッチがない場合は 0.
+ * @private
+ */
+Zlib.RawDeflate.prototype.searchRun_ = function(data, position) {
+  var c = data[position - 1],
+      limit = data.length - position,
+      matchLength = 0;
+
+  if (position === 0) {
+    return 0;
+  }
+  if (limit > Zlib.RawDeflate.Lz77MaxLength) {
+    limit = Zlib.RawDeflate.Lz77MaxLength;
+  }
+
+  while (matchLength < limit && data[position + matchLength] === c) {
+    ++matchLength;
+  }
+
+  return matchLength >= Zlib.RawDeflate.Lz77MinLength ?
+    (matchLength << 16) | 1 : 0;
+};
+
+/**
+ * 最適化パースによる LZ77 実装
+ * OptimalChunkSize バイトごとに各位置で使えるマッチを求めておき, コスト
+ * モデル (各シンボルの符号長) のもとでビット数が最小になる符号列を最短経路
+ * 探索で求める. 得られた符号列の出現頻度から getLengths_ で求めた符号長を
+ * 次のコストモデルとし, 見積もりが小さくならなくなるまで繰り返す.
+ * 最初のコストモデルには固定ハフマン符号を使う.
+ * @param {!(Array|Uint8Array)} dataArray スライド窓を含むバイト配列.
+ * @param {number} start 符号化開始位置.
+ * @param {!Zlib.RawDeflate.HashChain} chain start より前の位置を登録済みの
+ *     chained-hash-table.
+ * @return {!(Array|Uint32Array)} LZ77 符号化した配列.
+ * @private
+ */
+Zlib.RawDeflate.prototype.lz77Optimal_ = function(dataArray, start, chain) {
+  /** @type {number} input length */
+  var length = dataArray.length;
+  /** @type {!(Array.<number>|Uint32Array)} lz77 buffer */
+  var lz77buf = USE_TYPEDARRAY ?
+    new Uint32Array(length - start + 1) : new Array();
+  /** @type {number} lz77 output buffer pointer */
+  var pos = 0;
+  /** @type {(Array.<number>|Uint32Array)} */
+  var freqsLitLen = new (USE_TYPEDARRAY ? Uint32Array : Array)(286);
+  /** @type {(Array.<number>|Uint32Array)} */
+  var freqsDist = new (USE_TYPEDARRAY ? Uint32Array : Array)(30);
+  /** @type {boolean} 動的ハフマン符号のコストモデルを使うか */
+  var dynamic =
+    this.compressionType !== Zlib.RawDeflate.CompressionType.FIXED;
+  /** @type {number} chunk start position */
+  var chunkStart;
+  /** @type {number} chunk end position */
+  var chunkEnd;
+  /** @type {!Object} matches of each position */
+  var matches;
+  /** @type {!Array.<(Array.<number>|Uint32Array)>} cost model */
+  var lengths;
+  /** @type {!(Array.<number>|Uint32Array)} */
+  var tokens;
+  /** @type {!(Array.<number>|Uint32Array)} */
+  var best;
+  /** @type {number} */
+  var bestBits;
+  /** @type {number} */
+  var bits;
+  /** @type {!Object} */
+  var stats;
+  /** @type {!Object} */
+  var tree;
+  /** @type {number} */
+  var token;
+  /** @type {number} loop counter */
+  var i;
+  /** @type {number} loop limiter */
+  var il;
+
+  // 初期化
+  if (!USE_TYPEDARRAY) {
+    for (i = 0; i <= 285;) { freqsLitLen[i++] = 0; }
+    for (i = 0; i <= 29;) { freqsDist[i++] = 0; }
+  }
+  freqsLitLen[256] = 1; // EOB の最低出現回数は 1
+
+  for (chunkStart = start; chunkStart < length; chunkStart = chunkEnd) {
+    chunkEnd = chunkStart + Zlib.RawDeflate.OptimalChunkSize;
+    if (chunkEnd > length) {
+      chunkEnd = length;
+    }
+
+    matches = this.findMatches_(dataArray, chunkStart, chunkEnd, chain);
+    lengths = Zlib.RawDeflate.FixedHuffmanLengths;
+    tokens =
+      this.optimalParse_(dataArray, chunkStart, chunkEnd, matches, lengths);
+    best = tokens;
+
+    // 出現頻度から求めた符号長をコストモデルとして繰り返す
+    if (dynamic) {
+      bestBits = Infinity;
+      for (i = 0; i < this.iterations; ++i) {
+        stats = this.getBlockStats_(tokens, 0, tokens.length);
+        tree = this.makeDynamicTree_(stats.litLen, stats.dist);
+        bits = tree.headerBits +
+          this.getBlockBits_(stats, tree.litLenLengths, tree.distLengths);
+        if (bits >= bestBits) {
+          break;
+        }
+        best = tokens;
+        bestBits = bits;
+
+        lengths = [tree.litLenLengths, tree.distLengths];
+        tokens =
+          this.optimalParse_(dataArray, chunkStart, chunkEnd, matches, lengths);
+      }
+    }
+
+    for (i = 0, il = best.length; i < il; ++i) {
+      token = best[i];
+      lz77buf[pos++] = token;
+      if (token > 0xffff) {
+        freqsLitLen[Zlib.RawDeflate.LengthCodeTable[token >>> 16] & 0xffff]++;
+        freqsDist[Zlib.RawDeflate.DistCodeTable[token & 0xffff] & 0xff]++;
+      } else {
+        freqsLitLen[token]++;
+      }
+    }
+  }
+
+  // 終端処理
+  lz77buf[pos++] = 256;
+  freqsLitLen[256]++;
+  this.freqsLitLen = freqsLitLen;
+  this.freqsDist = freqsDist;
+
+  return /** @type {!(Uint32Array|Array)} */ (
+    USE_TYPEDARRAY ?  lz77buf.subarray(0, pos) : lz77buf
+  );
+};
+
+/**
+ * 最適化パースのために各位置で使えるマッチを求め, 位置を chained-hash-table
+ * に登録する.
+ * 位置ごとに長さの短い順に (長さ << 16) | 距離 を保持し, 各マッチの距離は
+ * その長さ以下のマッチの中で最短になる. 保持する数は
+ * OptimalMatchesPerPosition までで, 超えた場合も最長のマッチは残す
+ * (長いマッチの距離はより短い長さでも使える).
+ * @param {!(Array|Uint8Array)} data plain data byte array.
+ * @param {number} start 開始位置.
+ * @param {number} end 終了位置 (含まない).
+ * @param {!Zlib.RawDeflate.HashChain} chain chained-hash-table.
+ * @return {{
+ *     offsets: !(Array.<number>|Uint32Array),
+ *     entries: !(Array.<number>|Uint32Array)
+ * }} 位置 start + i のマッチは entries の offsets[i] から offsets[i + 1]
+ *     の前まで.
+ * @private
+ */
+Zlib.RawDeflate.prototype.findMatches_ = function(data, start, end, chain) {
+  var offsets = new (USE_TYPEDARRAY ? Uint32Array : Array)(end - start + 1),
+      entries = USE_TYPEDARRAY ?
+        new Uint32Array((end - start) * 2) : new Array(),
+      count = 0, first,
+      maxEntries = Zlib.RawDeflate.OptimalMatchesPerPosition,
+      head = chain.head, prev = chain.prev, mask = chain.mask,
+      base = chain.base,
+      hashMask = (1 << Zlib.RawDeflate.HashBits) - 1,
+      dl = data.length,
+      niceLength = this.niceLength,
+      countCollisions = this.countCollisions,
+      maxChain, limit, hash, candidate, match, matchLength, matchMax,
+      position, tmp;
+
+  for (position = start; position < end; ++position) {
+    offsets[position - start] = first = count;
+
+    // データ末尾の不完全なキーは登録しない
+    if (position + Zlib.RawDeflate.Lz77MinLength > dl) {
+      continue;
+    }
+
+    hash = ((data[position] << 10) ^ (data[position + 1] << 5) ^
+            data[position + 2]) & hashMask;
+    limit = position + base - this.windowSize;
+    maxChain = this.maxChain;
+    matchMax = Zlib.RawDeflate.Lz77MinLength - 1;
+
+    // 候補を新しいもの (距離が短いもの) から順に調べる
+    for (candidate = head[hash];
+         candidate >= 0 && candidate >= limit && maxChain > 0;
+         candidate = prev[candidate & mask]) {
+      match = candidate - base;
+      if (data[match] !== data[position] ||
+          data[match + 1] !== data[position + 1] ||
+          data[match + 2] !== data[position + 2]) {
+        if (countCollisions) {
+          --maxChain;
+        }
+        continue;
+      }
+      --maxChain;
+
+      // 今までより長くなければ距離が長い分だけ不利なので使わない
+      if (data[match + matchMax] !== data[position + matchMax]) {
+        continue;
+      }
+      matchLength = Zlib.RawDeflate.Lz77MinLength;
+      while (matchLength < Zlib.RawDeflate.Lz77MaxLength &&
+             position + matchLength < dl &&
+             data[match + matchLength] === data[position + matchLength]) {
+        ++matchLength;
+      }
+      if (matchLength <= matchMax) {
+        continue;
+      }
+      matchMax = matchLength;
+
+      // 上限に達していたら最後のマッチを置き換える
+      if (count - first === maxEntries) {
+        --count;
+      }
+      if (USE_TYPEDARRAY && count === entries.length) {
+        tmp = new Uint32Array(entries.length * 2);
+        tmp.set(entries);
+        entries = tmp;
+      }
+      entries[count++] = (matchLength << 16) | (position - match);
+
+      if (matchLength >= niceLength) {
+        break;
+      }
+    }
+
+    prev[(position + base) & mask] = head[hash];
+    head[hash] = position + base;
+  }
+  offsets[end - start] = count;
+
+  return {
+    offsets: offsets,
+    entries: entries
+  };
+};
+
+/**
+ * コストモデルのもとでビット数が最小になる符号列を求める
+ * @param {!(Array|Uint8Array)} data plain data byte array.
+ * @param {number} start 開始位置.
+ * @param {number} end 終了位置 (含まない).
+ * @param {!Object} matches findMatches_ で求めたマッチ.
+ * @param {!Array.<(Array.<number>|Uint32Array)>} lengths コストモデル
+ *     [リテラル・長さ符号の符号長, 距離符号の符号長]. 符号長が 0 の
+ *     シンボルは最長の符号長 (15) とみなす.
+ * @return {!(Array.<number>|Uint32Array)} LZ77 符号化した配列
+ *     (終端符号を含まない).
+ * @private
+ */
+Zlib.RawDeflate.prototype.optimalParse_ =
+function(data, start, end, matches, lengths) {
+  var n = end - start,
+      costs = new (USE_TYPEDARRAY ? Float64Array : Array)(n + 1),
+      choices = new (USE_TYPEDARRAY ? Uint32Array : Array)(n + 1),
+      litLenBits = new (USE_TYPEDARRAY ? Uint32Array : Array)(286),
+      distBits = new (USE_TYPEDARRAY ? Uint32Array : Array)(30),
+      lengthBits = new (USE_TYPEDARRAY ? Uint32Array : Array)(
+        Zlib.RawDeflate.Lz77MaxLength + 1
+      ),
+      unused = Zlib.RawDeflate.MaxCodeLength - 1,
+      offsets = matches.offsets, entries = matches.entries,
+      tokens, cost, matchCost, entry, code, literal,
+      i, j, l, prevLength, maxLength;
+
+  // シンボルごとのビット数
+  for (i = 0; i < 286; ++i) {
+    litLenBits[i] = lengths[0][i] || unused;
+  }
+  for (i = 0; i < 30; ++i) {
+    distBits[i] = lengths[1][i] || unused;
+  }
+  for (l = Zlib.RawDeflate.Lz77MinLength; l <= Zlib.RawDeflate.Lz77MaxLength;
+       ++l) {
+    code = Zlib.RawDeflate.LengthCodeTable[l];
+    lengthBits[l] = litLenBits[code & 0xffff] + (code >>> 24);
+  }
+
+  costs[0] = 0;
+  for (i = 1; i <= n; ++i) {
+    costs[i] = Infinity;
+  }
+
+  for (i = 0; i < n; ++i) {
+    cost = costs[i];
+
+    // literal
+    literal = data[start + i];
+    if (cost + litLenBits[literal] < costs[i + 1]) {
+      costs[i + 1] = cost + litLenBits[literal];
+      choices[i + 1] = literal;
+    }
+
+    // 長さごとにその長さで最短の距離のマッチで遷移する
+    maxLength = n - i;
+    prevLength = Zlib.RawDeflate.Lz77MinLength - 1;
+    for (j = offsets[i]; j < offsets[i + 1] && prevLength < maxLength; ++j) {
+      entry = entries[j];
+      code = Zlib.RawDeflate.DistCodeTable[entry & 0xffff];
+      matchCost = cost + distBits[code & 0xff] + (code >>> 24);
+
+      for (l = prevLength + 1; l <= (entry >>> 16) && l <= maxLength; ++l) {
+        if (matchCost + lengthBits[l] < costs[i + l]) {
+          costs[i + l] = matchCost + lengthBits[l];
+          choices[i + l] = (l << 16) | (entry & 0xffff);
+        }
+      }
+      prevLength = l - 1;
+    }
+  }
+
+  // 終端から辿って符号列を求める
+  for (i = n, l = 0; i > 0; i -= choices[i] > 0xffff ? choices[i] >>> 16 : 1) {
+    ++l;
+  }
+  tokens = new (USE_TYPEDARRAY ? Uint32Array : Array)(l);
+  for (i = n; i > 0; i -= choices[i] > 0xffff ? choices[i] >>> 16 : 1) {
+    tokens[--l] = choices[i];
+  }
+
+  return tokens;
 };
 
 /**
@@ -880,7 +2033,8 @@ function(hlit, litlenLengths, hdist, distLengths) {
 /**
  * ハフマン符号の長さを取得する
  * reference: PuTTY Deflate implementation
- * @param {Array} freqs 出現カウント.
+ * 引数の出現カウントは変更しない.
+ * @param {!(Array.<number>|Uint8Array|Uint32Array)} freqs 出現カウント.
  * @param {number=} opt_limit 符号長の制限.
  * @return {Array.<number>} 符号長配列.
  * @private
@@ -894,9 +2048,12 @@ Zlib.RawDeflate.prototype.getLengths_ = function(freqs, opt_limit) {
       length = new (USE_TYPEDARRAY ? Uint32Array : Array)(max),
       i, node1, node2,
       freqsZero = [],
-      maxProb, smallestFreq = Infinity, totalFreq,
+      maxProb, smallestFreq = Infinity, totalFreq = 0,
       num, denom, adjust;
 
+  // 調整で書き換えるのでコピーする
+  freqs = USE_TYPEDARRAY ? new Uint32Array(freqs) : freqs.slice();
+
   // 0 の要素を調べる, 最小出現数を調べる, 合計出現数を調べる
   for (i = 0; i < nSymbols; i++) {
     if (freqs[i] === 0) {
@@ -916,24 +2073,29 @@ Zlib.RawDeflate.prototype.getLengths_ = function(freqs, opt_limit) {
 
   // limit が決まっている場合は調整する
   if ((opt_limit | 0) > 0) {
-    totalFreq = 0;
-
     // 引数チェック
     if (opt_limit !== 7 && opt_limit !== 15) {
-      throw 'invalid limit number';
+      throw new Zlib.ZlibError(
+        'invalid limit number', Zlib.ZlibError.Code.INTERNAL
+      );
     }
 
     // 調整用パラメータの算出
-    maxProb = (opt_limit === 15) ? 2584 : 55;
+    // 符号長が limit を超えるのは合計出現数が最小出現数の F(limit + 3) 倍
+    // (F はフィボナッチ数) 以上の時だけなので, その比を F(limit + 2) 以下に
+    // 抑える
+    maxProb = (opt_limit === 15) ? 1597 : 34;
     nActiveSymbols = nSymbols - freqsZero.length;
     num = totalFreq - smallestFreq * maxProb;
     denom = maxProb - nActiveSymbols;
-    adjust = ((num + denom - 1) / denom) | 0;
 
     // 非 0 要素の値を調整する
-    for (i = 0; i < nSymbols; i++) {
-      if (freqs[i] !== 0) {
-        freqs[i] += adjust;
+    if (num > 0) {
+      adjust = ((num + denom - 1) / denom) | 0;
+      for (i = 0; i < nSymbols; i++) {
+        if (freqs[i] !== 0) {
+          freqs[i] += adjust;
+        }
       }
     }
   }
@@ -1001,7 +2163,7 @@ Zlib.RawDeflate.prototype.getCodesFromLengths_ = function(lengths) {
 
     // overcommited
     if (code > (1 << i)) {
-      throw 'overcommitted';
+      throw new Zlib.ZlibError('overcommitted', Zlib.ZlibError.Code.INTERNAL);
     }
 
     code <<= 1;
@@ -1009,7 +2171,7 @@ Zlib.RawDeflate.prototype.getCodesFromLengths_ = function(lengths) {
 
   // undercommitted
   if (code < ((1 << Zlib.RawDeflate.MaxCodeLength) | 0)) {
-    throw 'undercommitted';
+    throw new Zlib.ZlibError('undercommitted', Zlib.ZlibError.Code.INTERNAL);
   }
 
   // Determine the code for each symbol. Mirrored, of course.
@@ -1051,6 +2213,30 @@ if (ZLIB_RAWDEFLATE_EXPORT) {
     'Zlib.RawDeflate.CompressionType.DYNAMIC',
     Zlib.RawDeflate.CompressionType.DYNAMIC
   );
+  goog.exportSymbol(
+    'Zlib.RawDeflate.Strategy',
+    Zlib.RawDeflate.Strategy
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflate.Strategy.DEFAULT',
+    Zlib.RawDeflate.Strategy.DEFAULT
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflate.Strategy.FILTERED',
+    Zlib.RawDeflate.Strategy.FILTERED
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflate.Strategy.HUFFMAN_ONLY',
+    Zlib.RawDeflate.Strategy.HUFFMAN_ONLY
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflate.Strategy.RLE',
+    Zlib.RawDeflate.Strategy.RLE
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflate.Strategy.FIXED',
+    Zlib.RawDeflate.Strategy.FIXED
+  );
 }
 
 // end of scope
@@ -0,0 +1,412 @@
+/**
+ * rawdeflatestream.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview 入力を分割して受け取る Deflate (RFC1951) 符号化実装.
+ * 入力はブロックサイズに達する毎に 1 ブロックとして符号化され,
+ * スライド窓と LZ77 のハッシュテーブルは次のブロックに引き継がれる.
+ */
+
+goog.provide('Zlib.RawDeflateStream');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_RAWDEFLATE_STREAM_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.BitStream');
+goog.require('Zlib.ParameterError');
+goog.require('Zlib.RawDeflate');
+goog.require('Zlib.Util');
+goog.require('Zlib.ZlibError');
+
+goog.scope(function() {
+
+/**
+ * Raw Deflate ストリーム実装
+ * @param {Object=} opt_param compression options.
+ *
+ * opt_param には Zlib.RawDeflate のオプションに加えて以下のプロパティを
+ * 指定する事ができます。
+ *   - blockSize: 1 ブロックとして符号化する入力のサイズ.
+ * @constructor
+ */
+Zlib.RawDeflateStream = function(opt_param) {
+  /**
+   * Deflate アルゴリズム実装
+   * @type {!Zlib.RawDeflate}
+   */
+  this.rawDeflate = new Zlib.RawDeflate(opt_param);
+
+  /**
+   * 出力用ビットストリーム
+   * @type {!Zlib.BitStream}
+   */
+  this.stream = new Zlib.BitStream();
+
+  /**
+   * 1 ブロックとして符号化する入力のサイズ
+   * @type {number}
+   */
+  this.blockSize = Zlib.RawDeflateStream.DefaultBlockSize;
+
+  /**
+   * スライド窓と未符号化の入力を保持するバッファ
+   * @type {!(Array|Uint8Array)}
+   */
+  this.window;
+
+  /**
+   * 未符号化の入力の開始位置
+   * @type {number}
+   */
+  this.wstart = 0;
+
+  /**
+   * バッファ内のデータの終端位置
+   * @type {number}
+   */
+  this.wend = 0;
+
+  /**
+   * LZ77 の chained-hash-table
+   * @type {!Zlib.RawDeflate.HashChain}
+   */
+  this.chain;
+
+  /**
+   * 終端処理済みならば true
+   * @type {boolean}
+   */
+  this.finished = false;
+
+  // option parameters
+  if (typeof(opt_param) === 'object' && opt_param !== null) {
+    if (typeof(opt_param['blockSize']) === 'number') {
+      this.blockSize = opt_param['blockSize'];
+    }
+  }
+
+  // 非圧縮ブロックの長さは 16-bit
+  if (this.rawDeflate.compressionType ===
+      Zlib.RawDeflate.CompressionType.NONE && this.blockSize > 0xffff) {
+    this.blockSize = 0xffff;
+  }
+
+  this.window = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+    this.rawDeflate.windowSize + this.blockSize
+  );
+  this.chain = new Zlib.RawDeflate.HashChain(this.rawDeflate.windowSize);
+
+  // プリセット辞書をスライド窓の初期値とする
+  if (this.rawDeflate.dictionary) {
+    this.append(this.rawDeflate.dictionary);
+    this.wstart = this.wend;
+    this.rawDeflate.lz77Register(this.window, 0, this.wstart, this.chain);
+  }
+};
+
+/**
+ * デフォルトブロックサイズ.
+ * @const {number}
+ */
+Zlib.RawDeflateStream.DefaultBlockSize = 0x10000;
+
+/**
+ * フラッシュモード. 値は zlib の Z_*_FLUSH と同じ.
+ * @enum {number}
+ */
+Zlib.RawDeflateStream.FlushMode = {
+  /** ブロックサイズに達するまで入力を保持する */
+  NONE: 0,
+  /** 保持している入力を符号化し, 空の固定ハフマンブロックを続ける */
+  PARTIAL: 1,
+  /** 保持している入力を符号化し, 空の非圧縮ブロックで byte 境界に揃える */
+  SYNC: 2,
+  /** SYNC に加えてスライド窓を破棄し, 以降の復号を単独で行えるようにする */
+  FULL: 3,
+  /** 保持している入力をブロックとして符号化する (byte 境界には揃えない) */
+  BLOCK: 5
+};
+
+/**
+ * 入力を追加し, ブロックサイズに達した分を符号化する
+ * @param {!(Array.<number>|Uint8Array|string)} data plain data byte array /
+ *     byte string.
+ * @param {Zlib.RawDeflateStream.FlushMode=} opt_flush flush mode.
+ * @return {!(Array|Uint8Array)} 符号化済みの byte array.
+ */
+Zlib.RawDeflateStream.prototype.push = function(data, opt_flush) {
+  /** @type {Zlib.RawDeflateStream.FlushMode} */
+  var flush = opt_flush || Zlib.RawDeflateStream.FlushMode.NONE;
+  /** @type {string} */
+  var mode;
+
+  if (this.finished) {
+    throw new Zlib.ParameterError(
+      'deflate stream is already finished',
+      Zlib.ZlibError.Code.STREAM_FINISHED
+    );
+  }
+
+  // 入力を取り込む前に検査する
+  for (mode in Zlib.RawDeflateStream.FlushMode) {
+    if (Zlib.RawDeflateStream.FlushMode[mode] === flush) {
+      break;
+    }
+    mode = '';
+  }
+  if (!mode) {
+    throw new Zlib.ParameterError(
+      'invalid flush mode', Zlib.ZlibError.Code.INVALID_FLUSH_MODE
+    );
+  }
+
+  // バッファが string だったら byte array に変換
+  if (typeof(data) === 'string') {
+    data = Zlib.Util.stringToByteArray(data);
+  }
+
+  this.append(data);
+
+  while (this.wend - this.wstart >= this.blockSize) {
+    this.makeBlock(this.wstart + this.blockSize, false);
+  }
+
+  if (flush !== Zlib.RawDeflateStream.FlushMode.NONE) {
+    this.flush(flush);
+  }
+
+  return this.stream.flush();
+};
+
+/**
+ * 保持している入力を符号化し, フラッシュモードに応じた終端処理を行う
+ * @param {Zlib.RawDeflateStream.FlushMode} flush flush mode.
+ */
+Zlib.RawDeflateStream.prototype.flush = function(flush) {
+  var rawDeflate = this.rawDeflate;
+  var FlushMode = Zlib.RawDeflateStream.FlushMode;
+
+  if (this.wend > this.wstart) {
+    this.makeBlock(this.wend, false);
+  }
+
+  switch (flush) {
+    case FlushMode.PARTIAL:
+      // 直前のブロックの終端符号が確実に出力されるように空ブロックを続ける
+      rawDeflate.writeFixedHuffmanBlock([256], false, this.stream);
+      break;
+    case FlushMode.SYNC:
+      rawDeflate.writeNocompressBlock([], false, this.stream);
+      break;
+    case FlushMode.FULL:
+      rawDeflate.writeNocompressBlock([], false, this.stream);
+      this.chain = new Zlib.RawDeflate.HashChain(rawDeflate.windowSize);
+      this.slide(0);
+      break;
+    case FlushMode.BLOCK:
+      break;
+    default:
+      throw new Zlib.ParameterError(
+        'invalid flush mode', Zlib.ZlibError.Code.INVALID_FLUSH_MODE
+      );
+  }
+};
+
+/**
+ * 残りの入力を最終ブロックとして符号化し, ストリームを終端する
+ * @return {!(Array|Uint8Array)} 符号化済みの byte array.
+ */
+Zlib.RawDeflateStream.prototype.finish = function() {
+  if (this.finished) {
+    throw new Zlib.ParameterError(
+      'deflate stream is already finished',
+      Zlib.ZlibError.Code.STREAM_FINISHED
+    );
+  }
+
+  this.makeBlock(this.wend, true);
+  this.finished = true;
+
+  return this.stream.finish();
+};
+
+/**
+ * バッファに入力を追加する
+ * @param {!(Array.<number>|Uint8Array)} data plain data byte array.
+ */
+Zlib.RawDeflateStream.prototype.append = function(data) {
+  var window = this.window;
+  var wend = this.wend;
+  var newSize, buffer, i, l;
+
+  // 入力が収まらなければバッファを拡張する
+  if (wend + data.length > window.length) {
+    for (newSize = window.length; newSize < wend + data.length;) {
+      newSize <<= 1;
+    }
+    if (USE_TYPEDARRAY) {
+      buffer = new Uint8Array(newSize);
+      buffer.set(window.subarray(0, wend));
+      window = buffer;
+    }
+  }
+
+  if (USE_TYPEDARRAY) {
+    window.set(data, wend);
+  } else {
+    for (i = 0, l = data.length; i < l; ++i) {
+      window[wend + i] = data[i];
+    }
+  }
+
+  this.window = window;
+  this.wend = wend + data.length;
+};
+
+/**
+ * 未符号化の入力を end まで 1 ブロックとして符号化する
+ * @param {number} end 符号化終了位置.
+ * @param {boolean} isFinalBlock 最後のブロックならばtrue.
+ */
+Zlib.RawDeflateStream.prototype.makeBlock = function(end, isFinalBlock) {
+  var rawDeflate = this.rawDeflate;
+  var window = this.window;
+  var wstart = this.wstart;
+  var data;
+
+  switch (rawDeflate.compressionType) {
+    case Zlib.RawDeflate.CompressionType.NONE:
+      rawDeflate.writeNocompressBlock(
+        USE_TYPEDARRAY ?
+          window.subarray(wstart, end) : window.slice(wstart, end),
+        isFinalBlock,
+        this.stream
+      );
+      break;
+    case Zlib.RawDeflate.CompressionType.FIXED:
+      data = USE_TYPEDARRAY ? window.subarray(0, end) : window.slice(0, end);
+      rawDeflate.writeFixedHuffmanBlock(
+        rawDeflate.lz77(data, wstart, this.chain),
+        isFinalBlock,
+        this.stream
+      );
+      break;
+    case Zlib.RawDeflate.CompressionType.DYNAMIC:
+      data = USE_TYPEDARRAY ? window.subarray(0, end) : window.slice(0, end);
+      rawDeflate.writeDynamicHuffmanBlock(
+        rawDeflate.lz77(data, wstart, this.chain),
+        isFinalBlock,
+        this.stream
+      );
+      break;
+    default:
+      throw new Zlib.ParameterError(
+        'invalid compression type',
+        Zlib.ZlibError.Code.INVALID_COMPRESSION_TYPE
+      );
+  }
+
+  this.wstart = end;
+  this.slide();
+};
+
+/**
+ * スライド窓を超えた古いデータを破棄する.
+ * ハッシュテーブルの位置は base で補正する.
+ * @param {number=} opt_windowSize 残す履歴のサイズ.
+ */
+Zlib.RawDeflateStream.prototype.slide = function(opt_windowSize) {
+  var window = this.window;
+  var offset = this.wstart - (
+    typeof opt_windowSize === 'number' ?
+      opt_windowSize : this.rawDeflate.windowSize
+  );
+  var i, l;
+
+  if (offset <= 0) {
+    return;
+  }
+
+  // データを前方に詰める
+  if (USE_TYPEDARRAY) {
+    window.set(window.subarray(offset, this.wend));
+  } else {
+    for (i = 0, l = this.wend - offset; i < l; ++i) {
+      window[i] = window[offset + i];
+    }
+  }
+  this.wstart -= offset;
+  this.wend -= offset;
+  this.chain.base += offset;
+};
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_RAWDEFLATE_STREAM_EXPORT) {
+  goog.exportSymbol('Zlib.RawDeflateStream', Zlib.RawDeflateStream);
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.prototype.push',
+    Zlib.RawDeflateStream.prototype.push
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.prototype.finish',
+    Zlib.RawDeflateStream.prototype.finish
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.FlushMode',
+    Zlib.RawDeflateStream.FlushMode
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.FlushMode.NONE',
+    Zlib.RawDeflateStream.FlushMode.NONE
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.FlushMode.PARTIAL',
+    Zlib.RawDeflateStream.FlushMode.PARTIAL
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.FlushMode.SYNC',
+    Zlib.RawDeflateStream.FlushMode.SYNC
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.FlushMode.FULL',
+    Zlib.RawDeflateStream.FlushMode.FULL
+  );
+  goog.exportSymbol(
+    'Zlib.RawDeflateStream.FlushMode.BLOCK',
+    Zlib.RawDeflateStream.FlushMode.BLOCK
+  );
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
@@ -0,0 +1,1828 @@
+/**
+ * JavaScript Inflate Library
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview Deflate (RFC1951) 復号化アルゴリズム実装.
+ * zlib ヘッダと Adler-32 を含む復号は Zlib.Inflate で実装されている.
+ */
+
+goog.provide('Zlib.RawInflate');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_RAWINFLATE_EXPORT = false;
+
+/** @define {number} buffer block size. */
+var ZLIB_BUFFER_BLOCK_SIZE = 0x8000; // [ 0x8000 >= ZLIB_BUFFER_BLOCK_SIZE ]
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.BufferError');
+goog.require('Zlib.DataError');
+goog.require('Zlib.Huffman');
+goog.require('Zlib.ParameterError');
+goog.require('Zlib.ZlibError');
+
+goog.scope(function() {
+
+/** @const {function(!(Array.<number>|Uint8Array)): !Array} */
+var buildHuffmanTable = Zlib.Huffman.buildHuffmanTable;
+
+/**
+ * @param {!(Uint8Array|Array)} input deflated buffer.
+ * @param {Object=} opt_params option parameters.
+ *
+ * opt_params は以下のプロパティを指定する事ができます。
+ *   - index: input buffer の deflate コンテナの開始位置.
+ *   - bitIndex: index のバイトのうち既に読み込まれているビット数.
+ *     ブロックの途中のバイトから復号を再開する時に指定する.
+ *   - bufferSize: buffer block size.
+ *   - bufferType: Zlib.RawInflate.BufferType. デフォルトは ADAPTIVE.
+ *   - resize: 出力をちょうどの長さの新しいバッファにコピーして返す.
+ *   - maxOutputLength: 出力サイズの上限.
+ *   - maxRatio: 出力サイズの上限を入力サイズに対する比率で指定する.
+ *   - strict: RFC1951 に従っていない入力をエラーにする.
+ *   - deflate64: Deflate64 (Enhanced Deflate, ZIP の圧縮方式 9) として
+ *     復号する. ウィンドウが 64KB になり, 長さ符号 285 は 16 bit の拡張
+ *     ビットを持ち, 距離符号 30, 31 が使える.
+ *   - windowBits: 後方参照の距離を 2^windowBits 以下に制限し, 超える
+ *     距離をエラーにする. zlib ヘッダの CINFO + 8 に当たる.
+ *   - dictionary: 後方参照用のウィンドウを初期化するプリセット辞書.
+ *   - onData: 復号した出力を bufferSize ごとのチャンクとして受け取る関数.
+ *     指定した場合は BLOCK と同じくウィンドウだけを保持し, 出力を
+ *     連結せずに空のバッファを返す.
+ *   - recover: 入力が壊れていても例外を投げずに, そこまでに復号できた出力を
+ *     返す. エラーは getError で取得できる.
+ *   - onBlock: 最終ブロック以外のブロックを復号する毎に呼ばれる関数.
+ *     false を返すとそこで復号を終了する.
+ *   - sync: 入力の破損を検出したら次のフルフラッシュ位置 (バイト境界に
+ *     置かれた空の非圧縮ブロック 00 00 FF FF) まで入力を読み飛ばして
+ *     復号を続ける. 読み飛ばした範囲は getSkippedRanges で取得できる.
+ *     フラッシュ位置が見つからない場合は recover と同じく中断する.
+ * @constructor
+ */
+Zlib.RawInflate = function(input, opt_params) {
+  /** @type {!(Array|Uint8Array)} inflated buffer */
+  this.buffer;
+  /** @type {!Array.<(Array|Uint8Array)>} */
+  this.blocks = [];
+  /** @type {number} block size. */
+  this.blockSize = ZLIB_BUFFER_BLOCK_SIZE;
+  /** @type {!number} total output buffer pointer. */
+  this.totalpos = 0;
+  /** @type {!number} input buffer pointer. */
+  this.ip = 0;
+  /** @type {!number} bit stream reader buffer. */
+  this.bitsbuf = 0;
+  /** @type {!number} bit stream reader buffer size. */
+  this.bitsbuflen = 0;
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  this.input =
+    (USE_TYPEDARRAY && input instanceof Array) ? new Uint8Array(input) : input;
+  /** @type {!(Uint8Array|Array)} output buffer. */
+  this.output;
+  /** @type {!number} output buffer pointer. */
+  this.op;
+  /** @type {boolean} is final block flag. */
+  this.bfinal = false;
+  /** @type {Zlib.RawInflate.BufferType} buffer management. */
+  this.bufferType = Zlib.RawInflate.BufferType.ADAPTIVE;
+  /** @type {boolean} resize flag for memory size optimization. */
+  this.resize = false;
+  /** @type {!number} output start position (preset dictionary length). */
+  this.outputStart = 0;
+  /** @type {number} max output length. */
+  this.maxOutputLength = Infinity;
+  /** @type {boolean} reject input that does not conform to RFC1951. */
+  this.strict = false;
+  /** @type {number} preset dictionary length. */
+  this.dictLength = 0;
+  /** @type {(Array|Uint8Array)} preset dictionary. */
+  this.dictionary = null;
+  /** @type {boolean} output buffer is supplied by caller (not expandable). */
+  this.fixedOutput = false;
+  /** @type {?function(!(Array|Uint8Array))} output chunk callback. */
+  this.onData = null;
+  /** @type {boolean} return partial output for corrupted input. */
+  this.recover = false;
+  /** @type {Zlib.ZlibError} error occurred in recover mode. */
+  this.error = null;
+  /** @type {?function(): (boolean|undefined)} block boundary callback. */
+  this.onBlock = null;
+  /** @type {boolean} resume decoding at the next full flush point. */
+  this.sync = false;
+  /** @type {!Array.<!Zlib.RawInflate.SkippedRange>} skipped input. */
+  this.skippedRanges = [];
+  /** @type {number} sliding window size. */
+  this.windowSize = Zlib.RawInflate.MaxBackwardLength;
+  /** @type {number} max copy length. */
+  this.maxCopyLength = Zlib.RawInflate.MaxCopyLength;
+  /** @type {number} max backward distance (declared window size). */
+  this.maxDistance = 0;
+  /** @type {!(Array.<number>|Uint16Array)} length code table. */
+  this.lengthCodeTable = Zlib.RawInflate.LengthCodeTable;
+  /** @type {!(Array.<number>|Uint8Array)} length extra-bits table. */
+  this.lengthExtraTable = Zlib.RawInflate.LengthExtraTable;
+  /** @type {!(Array.<number>|Uint16Array)} dist code table. */
+  this.distCodeTable = Zlib.RawInflate.DistCodeTable;
+  /** @type {!(Array.<number>|Uint8Array)} dist extra-bits table. */
+  this.distExtraTable = Zlib.RawInflate.DistExtraTable;
+  /** @type {!Array} fixed huffman distance code table. */
+  this.fixedDistanceTable = Zlib.RawInflate.FixedDistanceTable;
+  /** @type {(Array|Uint8Array)} preset dictionary. */
+  var dictionary = null;
+
+  // option parameters
+  if (opt_params) {
+    if (opt_params['deflate64']) {
+      this.windowSize = Zlib.RawInflate.Deflate64WindowSize;
+      this.maxCopyLength = Zlib.RawInflate.Deflate64MaxCopyLength;
+      this.lengthCodeTable = Zlib.RawInflate.Deflate64LengthCodeTable;
+      this.lengthExtraTable = Zlib.RawInflate.Deflate64LengthExtraTable;
+      this.distCodeTable = Zlib.RawInflate.Deflate64DistCodeTable;
+      this.distExtraTable = Zlib.RawInflate.Deflate64DistExtraTable;
+      this.fixedDistanceTable = Zlib.RawInflate.FixedDeflate64DistanceTable;
+    }
+    if (typeof opt_params['windowBits'] === 'number') {
+      this.maxDistance = 1 << opt_params['windowBits'];
+    }
+    if (opt_params['index']) {
+      this.ip = opt_params['index'];
+    }
+    if (opt_params['bufferSize']) {
+      this.blockSize = opt_params['bufferSize'];
+    }
+    if (typeof opt_params['bufferType'] === 'number') {
+      this.bufferType = opt_params['bufferType'];
+    }
+    if (opt_params['resize']) {
+      this.resize = opt_params['resize'];
+    }
+    if (typeof opt_params['maxOutputLength'] === 'number') {
+      this.maxOutputLength = opt_params['maxOutputLength'];
+    }
+    if (typeof opt_params['maxRatio'] === 'number') {
+      this.maxOutputLength = Math.min(
+        this.maxOutputLength,
+        Math.floor((this.input.length - this.ip) * opt_params['maxRatio'])
+      );
+    }
+    if (opt_params['strict']) {
+      this.strict = true;
+    }
+    if (opt_params['recover']) {
+      this.recover = true;
+    }
+    if (opt_params['sync']) {
+      this.sync = true;
+      this.recover = true;
+    }
+    if (typeof opt_params['onBlock'] === 'function') {
+      this.onBlock = opt_params['onBlock'];
+    }
+    if (opt_params['bitIndex']) {
+      this.bitsbuf = this.input[this.ip++] >>> opt_params['bitIndex'];
+      this.bitsbuflen = 8 - opt_params['bitIndex'];
+    }
+    if (typeof opt_params['onData'] === 'function') {
+      this.onData = opt_params['onData'];
+      this.bufferType = Zlib.RawInflate.BufferType.BLOCK;
+    }
+    if (opt_params['dictionary']) {
+      dictionary = this.dictionary = opt_params['dictionary'];
+      // 後方参照で届くのは末尾のウィンドウサイズ分だけ
+      this.dictLength =
+        dictionary.length < this.windowSize ?
+          dictionary.length : this.windowSize;
+    }
+  }
+
+  if (this.maxDistance === 0 || this.maxDistance > this.windowSize) {
+    this.maxDistance = this.windowSize;
+  }
+
+  // initialize
+  switch (this.bufferType) {
+    case Zlib.RawInflate.BufferType.BLOCK:
+      this.op = this.windowSize;
+      this.output =
+        new (USE_TYPEDARRAY ? Uint8Array : Array)(
+          this.windowSize +
+          this.blockSize +
+          this.maxCopyLength
+        );
+      copyDictionary(
+        dictionary, this.dictLength, this.output, this.op - this.dictLength
+      );
+      if (this.onData) {
+        this.expandBuffer = this.expandBufferCallback;
+        this.concatBuffer = this.concatBufferCallback;
+      }
+      break;
+    case Zlib.RawInflate.BufferType.ADAPTIVE:
+      this.op = this.outputStart = this.dictLength;
+      this.output =
+        new (USE_TYPEDARRAY ? Uint8Array : Array)(
+          this.dictLength + this.blockSize
+        );
+      copyDictionary(dictionary, this.dictLength, this.output, 0);
+      this.expandBuffer = this.expandBufferDynamic;
+      this.concatBuffer = this.concatBufferDynamic;
+      this.decodeHuffman = this.decodeHuffmanDynamic;
+      break;
+    default:
+      throw new Zlib.ParameterError(
+        'invalid inflate mode', Zlib.ZlibError.Code.INVALID_BUFFER_TYPE
+      );
+  }
+};
+
+/**
+ * 出力サイズが maxOutputLength, maxRatio による上限を超える時に投げられる.
+ * @param {string} message error message.
+ * @constructor
+ * @extends {Zlib.BufferError}
+ */
+Zlib.RawInflate.OutputLimitError = function(message) {
+  Zlib.BufferError.call(this, message, Zlib.ZlibError.Code.OUTPUT_LIMIT);
+};
+goog.inherits(Zlib.RawInflate.OutputLimitError, Zlib.BufferError);
+
+/** @type {string} */
+Zlib.RawInflate.OutputLimitError.prototype.name = 'OutputLimitError';
+
+/**
+ * sync モードで読み飛ばした入力の範囲.
+ * @param {number} inputStart start of the skipped input.
+ * @param {number} inputEnd end of the skipped input (resume position).
+ * @param {number} outputOffset output length at the skipped position.
+ * @param {!Zlib.ZlibError} error error that caused the skip.
+ * @constructor
+ */
+Zlib.RawInflate.SkippedRange = function(
+  inputStart, inputEnd, outputOffset, error
+) {
+  /**
+   * @expose
+   * @type {number}
+   */
+  this.inputStart = inputStart;
+  /**
+   * @expose
+   * @type {number}
+   */
+  this.inputEnd = inputEnd;
+  /**
+   * @expose
+   * @type {number}
+   */
+  this.outputOffset = outputOffset;
+  /**
+   * @expose
+   * @type {!Zlib.ZlibError}
+   */
+  this.error = error;
+};
+
+/**
+ * output buffer management.
+ *   - BLOCK: 32KB のスライド窓と bufferSize のブロックを持つ固定長の
+ *     バッファに復号し, あふれた分をブロックとして退避する.
+ *   - ADAPTIVE: 入力と圧縮率から出力サイズを見積もり, 単一のバッファを
+ *     拡張しながら復号する.
+ * @enum {number}
+ */
+Zlib.RawInflate.BufferType = {
+  BLOCK: 0,
+  ADAPTIVE: 1
+};
+
+/**
+ * decompress.
+ * @return {!(Uint8Array|Array)} inflated buffer.
+ */
+Zlib.RawInflate.prototype.decompress = function() {
+  this.decodeBlocks();
+
+  return this.concatBuffer();
+};
+
+/**
+ * 呼び出し側が用意したバッファに直接復号する.
+ * 出力がバッファに収まらない場合は OUTPUT_BUFFER_FULL の
+ * Zlib.BufferError が投げられる.
+ * @param {!(Uint8Array|Array)} target output buffer.
+ * @param {number=} opt_offset output start position in target.
+ * @return {number} number of bytes written.
+ */
+Zlib.RawInflate.prototype.decompressInto = function(target, opt_offset) {
+  /** @type {number} output start position. */
+  var offset = opt_offset || 0;
+  /** @type {number} preset dictionary length. */
+  var dictLength = this.dictLength;
+  /** @type {!(Uint8Array|Array)} output buffer. */
+  var output;
+  /** @type {number} number of bytes written. */
+  var length;
+  /** @type {number} loop counter. */
+  var i;
+
+  if (this.onData) {
+    throw new Zlib.ParameterError(
+      'output buffer cannot be used with onData',
+      Zlib.ZlibError.Code.INVALID_OUTPUT_BUFFER
+    );
+  }
+  if (USE_TYPEDARRAY ? !(target instanceof Uint8Array) : !target) {
+    throw new Zlib.ParameterError(
+      'invalid output buffer', Zlib.ZlibError.Code.INVALID_OUTPUT_BUFFER
+    );
+  }
+  if (offset < 0 || offset > target.length) {
+    throw new Zlib.ParameterError(
+      'invalid output offset: ' + offset,
+      Zlib.ZlibError.Code.INVALID_OUTPUT_BUFFER
+    );
+  }
+
+  // 固定長の単一バッファとして ADAPTIVE と同じ経路で復号する
+  // (プリセット辞書は target の前に置けないので一時バッファに復号してコピー)
+  if (dictLength > 0) {
+    output = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+      dictLength + target.length - offset
+    );
+    copyDictionary(this.dictionary, dictLength, output, 0);
+    this.op = this.outputStart = dictLength;
+  } else {
+    output = target;
+    this.op = this.outputStart = offset;
+  }
+  this.output = output;
+  this.fixedOutput = true;
+  this.bufferType = Zlib.RawInflate.BufferType.ADAPTIVE;
+  this.expandBuffer = this.expandBufferDynamic;
+  this.decodeHuffman = this.decodeHuffmanDynamic;
+
+  this.decodeBlocks();
+
+  length = this.op - this.outputStart;
+  if (output !== target) {
+    if (USE_TYPEDARRAY) {
+      target.set(output.subarray(dictLength, this.op), offset);
+    } else {
+      for (i = 0; i < length; ++i) {
+        target[offset + i] = output[dictLength + i];
+      }
+    }
+  }
+
+  return length;
+};
+
+/**
+ * 最終ブロックまで復号する.
+ * recover モードでは入力の破損による例外を this.error に記録して中断する.
+ * sync モードでは次のフルフラッシュ位置から復号を再開する.
+ */
+Zlib.RawInflate.prototype.decodeBlocks = function() {
+  for (;;) {
+    try {
+      while (!this.bfinal) {
+        this.parseBlock();
+        if (this.onBlock !== null && !this.bfinal &&
+            this.onBlock() === false) {
+          break;
+        }
+      }
+      break;
+    } catch (e) {
+      this.setErrorPosition(e);
+      if (!(this.recover && e instanceof Zlib.ZlibError &&
+            e.isCorruptInput())) {
+        throw e;
+      }
+      if (!this.sync || !this.resync(e)) {
+        this.error = e;
+        return;
+      }
+    }
+  }
+
+  // 先読みしてしまったバイトを入力に戻す
+  this.ip -= this.bitsbuflen >>> 3;
+  this.bitsbuf = 0;
+  this.bitsbuflen = 0;
+};
+
+/**
+ * 破損を検出した位置以降で最初のフルフラッシュ位置まで入力を読み飛ばす.
+ * フラッシュ位置より後のブロックはそれ以前の出力を参照しないので,
+ * 出力のウィンドウはそのままで次のブロックから復号を再開できる.
+ * @param {!Zlib.ZlibError} e error that caused the skip.
+ * @return {boolean} false if there is no full flush point.
+ */
+Zlib.RawInflate.prototype.resync = function(e) {
+  /** @type {number} first byte boundary after the error position. */
+  var start = (this.getBitPosition() + 7) >>> 3;
+  /** @type {number} resume position. */
+  var end = findFullFlush(this.input, start);
+
+  this.skippedRanges.push(new Zlib.RawInflate.SkippedRange(
+    start, end < 0 ? this.input.length : end, this.getOutputLength(), e
+  ));
+  if (end < 0) {
+    return false;
+  }
+
+  this.ip = end;
+  this.bitsbuf = 0;
+  this.bitsbuflen = 0;
+  // 壊れたブロックヘッダの BFINAL は無視する
+  this.bfinal = false;
+
+  return true;
+};
+
+/**
+ * sync モードで読み飛ばした入力の範囲.
+ * 復号を再開できなかった場合は最後の範囲が入力の終端までとなり,
+ * そのエラーは getError でも取得できる.
+ * @return {!Array.<!Zlib.RawInflate.SkippedRange>} skipped ranges.
+ */
+Zlib.RawInflate.prototype.getSkippedRanges = function() {
+  return this.skippedRanges;
+};
+
+/**
+ * recover モードで復号を中断したエラー.
+ * @return {Zlib.ZlibError} error, or null if the input is not corrupted.
+ */
+Zlib.RawInflate.prototype.getError = function() {
+  return this.error;
+};
+
+/**
+ * @const {number} max backward length for LZ77.
+ */
+Zlib.RawInflate.MaxBackwardLength = 32768;
+
+/**
+ * @const {number} max copy length for LZ77.
+ */
+Zlib.RawInflate.MaxCopyLength = 258;
+
+/**
+ * @const {number} max backward length for Deflate64.
+ */
+Zlib.RawInflate.Deflate64WindowSize = 65536;
+
+/**
+ * @const {number} max copy length for Deflate64.
+ */
+Zlib.RawInflate.Deflate64MaxCopyLength = 65538;
+
+/**
+ * @const {number} root table bits of dynamic literal/length code table.
+ */
+Zlib.RawInflate.LiteralLengthRootBits = 9;
+
+/**
+ * @const {number} root table bits of dynamic distance code table.
+ */
+Zlib.RawInflate.DistanceRootBits = 6;
+
+/**
+ * huffman order
+ * @const {!(Array.<number>|Uint8Array)}
+ */
+Zlib.RawInflate.Order = (function(table) {
+  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
+})([16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15]);
+
+/**
+ * huffman length code table.
+ * @const {!(Array.<number>|Uint16Array)}
+ */
+Zlib.RawInflate.LengthCodeTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
+})([
+  0x0003, 0x0004, 0x0005, 0x0006, 0x0007, 0x0008, 0x0009, 0x000a, 0x000b,
+  0x000d, 0x000f, 0x0011, 0x0013, 0x0017, 0x001b, 0x001f, 0x0023, 0x002b,
+  0x0033, 0x003b, 0x0043, 0x0053, 0x0063, 0x0073, 0x0083, 0x00a3, 0x00c3,
+  0x00e3, 0x0102, 0x0102, 0x0102
+]);
+
+/**
+ * huffman length extra-bits table.
+ * @const {!(Array.<number>|Uint8Array)}
+ */
+Zlib.RawInflate.LengthExtraTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint8Array(table) : table;
+})([
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 0, 0, 0
+]);
+
+/**
+ * huffman dist code table.
+ * @const {!(Array.<number>|Uint16Array)}
+ */
+Zlib.RawInflate.DistCodeTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
+})([
+  0x0001, 0x0002, 0x0003, 0x0004, 0x0005, 0x0007, 0x0009, 0x000d, 0x0011,
+  0x0019, 0x0021, 0x0031, 0x0041, 0x0061, 0x0081, 0x00c1, 0x0101, 0x0181,
+  0x0201, 0x0301, 0x0401, 0x0601, 0x0801, 0x0c01, 0x1001, 0x1801, 0x2001,
+  0x3001, 0x4001, 0x6001
+]);
+
+/**
+ * huffman dist extra-bits table.
+ * @const {!(Array.<number>|Uint8Array)}
+ */
+Zlib.RawInflate.DistExtraTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint8Array(table) : table;
+})([
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13
+]);
+
+/**
+ * huffman length code table (Deflate64).
+ * 長さ符号 285 は 258 ではなく 3 + 16 bit の拡張ビット.
+ * @const {!(Array.<number>|Uint16Array)}
+ */
+Zlib.RawInflate.Deflate64LengthCodeTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
+})([
+  0x0003, 0x0004, 0x0005, 0x0006, 0x0007, 0x0008, 0x0009, 0x000a, 0x000b,
+  0x000d, 0x000f, 0x0011, 0x0013, 0x0017, 0x001b, 0x001f, 0x0023, 0x002b,
+  0x0033, 0x003b, 0x0043, 0x0053, 0x0063, 0x0073, 0x0083, 0x00a3, 0x00c3,
+  0x00e3, 0x0003, 0x0102, 0x0102
+]);
+
+/**
+ * huffman length extra-bits table (Deflate64).
+ * @const {!(Array.<number>|Uint8Array)}
+ */
+Zlib.RawInflate.Deflate64LengthExtraTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint8Array(table) : table;
+})([
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5,
+  5, 5, 16, 0, 0
+]);
+
+/**
+ * huffman dist code table (Deflate64).
+ * @const {!(Array.<number>|Uint16Array)}
+ */
+Zlib.RawInflate.Deflate64DistCodeTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint16Array(table) : table;
+})([
+  0x0001, 0x0002, 0x0003, 0x0004, 0x0005, 0x0007, 0x0009, 0x000d, 0x0011,
+  0x0019, 0x0021, 0x0031, 0x0041, 0x0061, 0x0081, 0x00c1, 0x0101, 0x0181,
+  0x0201, 0x0301, 0x0401, 0x0601, 0x0801, 0x0c01, 0x1001, 0x1801, 0x2001,
+  0x3001, 0x4001, 0x6001, 0x8001, 0xc001
+]);
+
+/**
+ * huffman dist extra-bits table (Deflate64).
+ * @const {!(Array.<number>|Uint8Array)}
+ */
+Zlib.RawInflate.Deflate64DistExtraTable = (function(table) {
+  return USE_TYPEDARRAY ? new Uint8Array(table) : table;
+})([
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11,
+  11, 12, 12, 13, 13, 14, 14
+]);
+
+/**
+ * fixed huffman length code table
+ * @const {!Array}
+ */
+Zlib.RawInflate.FixedLiteralLengthTable = (function(table) {
+  return table;
+})((function() {
+  var lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(288);
+  var i, il;
+
+  for (i = 0, il = lengths.length; i < il; ++i) {
+    lengths[i] =
+      (i <= 143) ? 8 :
+      (i <= 255) ? 9 :
+      (i <= 279) ? 7 :
+      8;
+  }
+
+  return buildHuffmanTable(lengths);
+})());
+
+/**
+ * fixed huffman distance code table
+ * @const {!Array}
+ */
+Zlib.RawInflate.FixedDistanceTable = (function(table) {
+  return table;
+})((function() {
+  var lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(30);
+  var i, il;
+
+  for (i = 0, il = lengths.length; i < il; ++i) {
+    lengths[i] = 5;
+  }
+
+  return buildHuffmanTable(lengths);
+})());
+
+/**
+ * fixed huffman distance code table (Deflate64).
+ * 距離符号 30, 31 も有効.
+ * @const {!Array}
+ */
+Zlib.RawInflate.FixedDeflate64DistanceTable = (function(table) {
+  return table;
+})((function() {
+  var lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(32);
+  var i, il;
+
+  for (i = 0, il = lengths.length; i < il; ++i) {
+    lengths[i] = 5;
+  }
+
+  return buildHuffmanTable(lengths);
+})());
+
+/**
+ * parse deflated block.
+ */
+Zlib.RawInflate.prototype.parseBlock = function() {
+  /** @type {number} header */
+  var hdr = this.readBits(3);
+
+  // BFINAL
+  if (hdr & 0x1) {
+    this.bfinal = true;
+  }
+
+  // BTYPE
+  hdr >>>= 1;
+  switch (hdr) {
+    // uncompressed
+    case 0:
+      this.parseUncompressedBlock();
+      break;
+    // fixed huffman
+    case 1:
+      this.parseFixedHuffmanBlock();
+      break;
+    // dynamic huffman
+    case 2:
+      this.parseDynamicHuffmanBlock();
+      break;
+    // reserved or other
+    default:
+      throw new Zlib.DataError(
+        'unknown BTYPE: ' + hdr, Zlib.ZlibError.Code.INVALID_BLOCK_TYPE
+      );
+  }
+};
+
+/**
+ * read inflate bits
+ * @param {number} length bits length.
+ * @return {number} read bits.
+ */
+Zlib.RawInflate.prototype.readBits = function(length) {
+  var bitsbuf = this.bitsbuf;
+  var bitsbuflen = this.bitsbuflen;
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {number} input and output byte. */
+  var octet;
+
+  // not enough buffer
+  while (bitsbuflen < length) {
+    // input byte
+    octet = input[ip++];
+    if (octet === void 0) {
+      throw new Zlib.BufferError(
+        'input buffer is broken', Zlib.ZlibError.Code.TRUNCATED_INPUT
+      );
+    }
+
+    // concat octet
+    bitsbuf |= octet << bitsbuflen;
+    bitsbuflen += 8;
+  }
+
+  // output byte
+  octet = bitsbuf & /* MASK */ ((1 << length) - 1);
+  bitsbuf >>>= length;
+  bitsbuflen -= length;
+
+  this.bitsbuf = bitsbuf;
+  this.bitsbuflen = bitsbuflen;
+  this.ip = ip;
+
+  return octet;
+};
+
+/**
+ * read huffman code using table
+ * @param {Array} table huffman code table.
+ * @return {number} huffman code.
+ */
+Zlib.RawInflate.prototype.readCodeByTable = function(table) {
+  var bitsbuf = this.bitsbuf;
+  var bitsbuflen = this.bitsbuflen;
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {!(Array|Uint8Array)} huffman code table */
+  var codeTable = table[0];
+  /** @type {number} */
+  var maxCodeLength = table[1];
+  /** @type {number} root table bits. */
+  var rootBits = table[3];
+  /** @type {number} input byte */
+  var octet;
+  /** @type {number} code */
+  var code;
+  /** @type {number} code length & code (16bit, 16bit) */
+  var codeWithLength;
+  /** @type {number} code bits length */
+  var codeLength;
+
+  // not enough buffer
+  while (bitsbuflen < maxCodeLength) {
+    octet = input[ip];
+    // 終端付近では最大符号長に満たない短い符号が最後に来ることがある
+    if (octet === void 0) {
+      break;
+    }
+    ++ip;
+    bitsbuf |= octet << bitsbuflen;
+    bitsbuflen += 8;
+  }
+
+  // read max length
+  codeWithLength = codeTable[bitsbuf & ((1 << rootBits) - 1)];
+  codeLength = codeWithLength >>> 16;
+
+  // root テーブルより長い符号は副テーブルを引く.
+  // 通常のエントリの符号長は 15 以下なので, 0x100000 以上のエントリは
+  // 副テーブルへのリンクになる (比較 1 回で判定できるようにしている)
+  if (codeWithLength >= 0x100000) {
+    codeWithLength = codeTable[
+      (codeWithLength & 0xffff) +
+      ((bitsbuf >>> rootBits) & ((1 << (codeLength & 0x0f)) - 1))
+    ];
+    codeLength = codeWithLength >>> 16;
+  }
+
+  if (codeLength === 0) {
+    throw new Zlib.DataError(
+      'invalid huffman code', Zlib.ZlibError.Code.INVALID_CODE
+    );
+  }
+  if (codeLength > bitsbuflen) {
+    throw new Zlib.BufferError(
+      'input buffer is broken', Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+
+  this.bitsbuf = bitsbuf >> codeLength;
+  this.bitsbuflen = bitsbuflen - codeLength;
+  this.ip = ip;
+
+  return codeWithLength & 0xffff;
+};
+
+/**
+ * parse uncompressed block.
+ */
+Zlib.RawInflate.prototype.parseUncompressedBlock = function() {
+  var input = this.input;
+  var ip = this.ip;
+  var output = this.output;
+  var op = this.op;
+
+  /** @type {number} input byte. */
+  var octet;
+  /** @type {number} block length */
+  var len;
+  /** @type {number} number for check block length */
+  var nlen;
+  /** @type {number} output buffer length */
+  var olength = output.length;
+  /** @type {number} copy counter */
+  var preCopy;
+  /** @type {boolean} the block is truncated. */
+  var truncated = false;
+
+  // skip buffered header bits
+  // (先読みしてしまったバイトは入力に戻す)
+  ip -= this.bitsbuflen >>> 3;
+  this.bitsbuf = 0;
+  this.bitsbuflen = 0;
+
+  // len (1st)
+  octet = input[ip++];
+  if (octet === void 0) {
+    throw new Zlib.BufferError(
+      'invalid uncompressed block header: LEN (first byte)',
+      Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+  len = octet;
+
+  // len (2nd)
+  octet = input[ip++];
+  if (octet === void 0) {
+    throw new Zlib.BufferError(
+      'invalid uncompressed block header: LEN (second byte)',
+      Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+  len |= octet << 8;
+
+  // nlen (1st)
+  octet = input[ip++];
+  if (octet === void 0) {
+    throw new Zlib.BufferError(
+      'invalid uncompressed block header: NLEN (first byte)',
+      Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+  nlen = octet;
+
+  // nlen (2nd)
+  octet = input[ip++];
+  if (octet === void 0) {
+    throw new Zlib.BufferError(
+      'invalid uncompressed block header: NLEN (second byte)',
+      Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+  nlen |= octet << 8;
+
+  // check len & nlen
+  if (len !== (~nlen & 0xffff)) {
+    throw new Zlib.DataError(
+      'invalid uncompressed block header: length verify',
+      Zlib.ZlibError.Code.INVALID_STORED_LENGTH
+    );
+  }
+
+  // check size
+  // (途中で途切れている場合も, 残っている分は出力してから例外を投げる)
+  if (ip + len > input.length) {
+    truncated = true;
+    len = input.length - ip;
+  }
+  this.checkOutputLength(len);
+
+  // expand buffer
+  switch (this.bufferType) {
+    case Zlib.RawInflate.BufferType.BLOCK:
+      // pre copy
+      while (op + len >= output.length) {
+        preCopy = olength - op;
+        len -= preCopy;
+        if (USE_TYPEDARRAY) {
+          output.set(input.subarray(ip, ip + preCopy), op);
+          op += preCopy;
+          ip += preCopy;
+        } else {
+          while (preCopy--) {
+            output[op++] = input[ip++];
+          }
+        }
+        this.op = op;
+        output = this.expandBuffer();
+        op = this.op;
+      }
+      break;
+    case Zlib.RawInflate.BufferType.ADAPTIVE:
+      while (op + len > output.length) {
+        output = this.expandBuffer({fixRatio: 2});
+      }
+      break;
+    default:
+      throw new Zlib.ParameterError(
+        'invalid inflate mode', Zlib.ZlibError.Code.INVALID_BUFFER_TYPE
+      );
+  }
+
+  // copy
+  if (USE_TYPEDARRAY) {
+    output.set(input.subarray(ip, ip + len), op);
+    op += len;
+    ip += len;
+  } else {
+    while (len--) {
+      output[op++] = input[ip++];
+    }
+  }
+
+  this.ip = ip;
+  this.op = op;
+  this.output = output;
+
+  if (truncated) {
+    throw new Zlib.BufferError(
+      'input buffer is broken', Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+};
+
+/**
+ * parse fixed huffman block.
+ */
+Zlib.RawInflate.prototype.parseFixedHuffmanBlock = function() {
+  this.decodeHuffman(
+    Zlib.RawInflate.FixedLiteralLengthTable,
+    this.fixedDistanceTable
+  );
+};
+
+/**
+ * parse dynamic huffman block.
+ */
+Zlib.RawInflate.prototype.parseDynamicHuffmanBlock = function() {
+  /** @type {number} number of literal and length codes. */
+  var hlit = this.readBits(5) + 257;
+  /** @type {number} number of distance codes. */
+  var hdist = this.readBits(5) + 1;
+  /** @type {number} number of code lengths. */
+  var hclen = this.readBits(4) + 4;
+  /** @type {!(Uint8Array|Array)} code lengths. */
+  var codeLengths =
+    new (USE_TYPEDARRAY ? Uint8Array : Array)(Zlib.RawInflate.Order.length);
+  /** @type {!Array} code lengths table. */
+  var codeLengthsTable;
+  /** @type {!(Uint8Array|Array)} literal/length and distance code lengths. */
+  var lengths;
+  /** @type {boolean} strict mode. */
+  var strict = this.strict;
+  /** @type {number} huffman code. */
+  var code;
+  /** @type {number} previous code length. */
+  var prev = 0;
+  /** @type {number} repeat count. */
+  var repeat;
+  /** @type {number} repeat value. */
+  var value;
+  /** @type {number} loop counter. */
+  var i = 0;
+
+  if (strict && (hlit > 286 || hdist > this.distCodeTable.length)) {
+    throw new Zlib.DataError(
+      'too many length or distance symbols',
+      Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+    );
+  }
+
+  // decode code lengths
+  for (i = 0; i < hclen; ++i) {
+    codeLengths[Zlib.RawInflate.Order[i]] = this.readBits(3);
+  }
+  codeLengthsTable = buildHuffmanTable(codeLengths, strict);
+
+  // literal and length code, distance code
+  // (繰り返し符号は literal/length と distance の境界をまたぐ事がある)
+  lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(hlit + hdist);
+  for (i = 0; i < hlit + hdist;) {
+    code = this.readCodeByTable(codeLengthsTable);
+    switch (code) {
+      case 16:
+        if (strict && i === 0) {
+          throw new Zlib.DataError(
+            'invalid code length repeat: no previous length',
+            Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+          );
+        }
+        repeat = 3 + this.readBits(2);
+        value = prev;
+        break;
+      case 17:
+        repeat = 3 + this.readBits(3);
+        value = prev = 0;
+        break;
+      case 18:
+        repeat = 11 + this.readBits(7);
+        value = prev = 0;
+        break;
+      default:
+        repeat = 1;
+        value = prev = code;
+        break;
+    }
+    if (strict && i + repeat > hlit + hdist) {
+      throw new Zlib.DataError(
+        'invalid code length repeat: too many lengths',
+        Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+      );
+    }
+    while (repeat--) {
+      lengths[i++] = value;
+    }
+  }
+
+  if (strict && lengths[256] === 0) {
+    throw new Zlib.DataError(
+      'missing end-of-block code', Zlib.ZlibError.Code.INVALID_CODE_LENGTHS
+    );
+  }
+
+  this.decodeHuffman(
+    buildHuffmanTable(
+      USE_TYPEDARRAY ? lengths.subarray(0, hlit) : lengths.slice(0, hlit),
+      strict,
+      Zlib.RawInflate.LiteralLengthRootBits
+    ),
+    buildHuffmanTable(
+      USE_TYPEDARRAY ?
+        lengths.subarray(hlit) : lengths.slice(hlit, hlit + hdist),
+      strict,
+      Zlib.RawInflate.DistanceRootBits
+    )
+  );
+};
+
+/**
+ * decode huffman code
+ * @param {!Array} litlen literal and length code table.
+ * @param {!Array} dist distination code table.
+ */
+Zlib.RawInflate.prototype.decodeHuffman = function(litlen, dist) {
+  var output = this.output;
+  var op = this.op;
+
+  this.currentLitlenTable = litlen;
+  this.currentDistTable = dist;
+
+  /** @type {number} output position limit. */
+  var olength = output.length - this.maxCopyLength;
+  /** @type {number} output position limit by maxOutputLength. */
+  var limit = this.outputLimit();
+  /** @type {boolean} strict mode. */
+  var strict = this.strict;
+  /** @type {number} oldest output position that can be referenced. */
+  var base = this.historyStart();
+  /** @type {number} max backward distance. */
+  var maxDistance = this.maxDistance;
+  /** @type {!(Array.<number>|Uint16Array)} length code table. */
+  var lengthCodeTable = this.lengthCodeTable;
+  /** @type {!(Array.<number>|Uint8Array)} length extra-bits table. */
+  var lengthExtraTable = this.lengthExtraTable;
+  /** @type {!(Array.<number>|Uint16Array)} dist code table. */
+  var distCodeTable = this.distCodeTable;
+  /** @type {!(Array.<number>|Uint8Array)} dist extra-bits table. */
+  var distExtraTable = this.distExtraTable;
+  /** @type {number} huffman code. */
+  var code;
+  /** @type {number} table index. */
+  var ti;
+  /** @type {number} huffman code distination. */
+  var codeDist;
+  /** @type {number} huffman code length. */
+  var codeLength;
+  /** @type {number} buffer position. */
+  var bpos;
+  /** @type {number} pre-copy counter. */
+  var preCopy;
+
+  try {
+    while ((code = this.readCodeByTable(litlen)) !== 256) {
+      // literal
+      if (code < 256) {
+        if (op >= limit) {
+          this.op = op;
+          this.checkOutputLength(1);
+        }
+        if (op >= olength) {
+          this.op = op;
+          output = this.expandBuffer();
+          op = this.op;
+          limit = this.outputLimit();
+          base = this.historyStart();
+        }
+        output[op++] = code;
+
+        continue;
+      }
+
+      // length code
+      ti = code - 257;
+      if (strict && ti > 28) {
+        throw new Zlib.DataError(
+          'invalid literal/length code: ' + code,
+          Zlib.ZlibError.Code.INVALID_CODE
+        );
+      }
+      codeLength = lengthCodeTable[ti];
+      if (lengthExtraTable[ti] > 0) {
+        codeLength += this.readBits(lengthExtraTable[ti]);
+      }
+
+      // dist code
+      code = this.readCodeByTable(dist);
+      if (strict && code >= distCodeTable.length) {
+        throw new Zlib.DataError(
+          'invalid distance code: ' + code, Zlib.ZlibError.Code.INVALID_CODE
+        );
+      }
+      codeDist = distCodeTable[code];
+      if (distExtraTable[code] > 0) {
+        codeDist += this.readBits(distExtraTable[code]);
+      }
+      if (codeDist > maxDistance) {
+        throw new Zlib.DataError(
+          'invalid distance: exceeds window size ' + maxDistance,
+          Zlib.ZlibError.Code.INVALID_DISTANCE
+        );
+      }
+      if (strict && op - codeDist < base) {
+        throw new Zlib.DataError(
+          'invalid distance: too far back',
+          Zlib.ZlibError.Code.INVALID_DISTANCE
+        );
+      }
+
+      // lz77 decode
+      if (op + codeLength > limit) {
+        this.op = op;
+        this.checkOutputLength(codeLength);
+      }
+      if (op >= olength) {
+        this.op = op;
+        output = this.expandBuffer();
+        op = this.op;
+        limit = this.outputLimit();
+        base = this.historyStart();
+      }
+      while (codeLength--) {
+        output[op] = output[(op++) - codeDist];
+      }
+    }
+  } catch (e) {
+    // 例外の位置情報のために出力位置を反映する
+    this.op = op;
+    throw e;
+  }
+
+  this.op = op;
+};
+
+/**
+ * decode huffman code (dynamic)
+ * @param {!Array} litlen literal and length code table.
+ * @param {!Array} dist distination code table.
+ */
+Zlib.RawInflate.prototype.decodeHuffmanDynamic = function(litlen, dist) {
+  var output = this.output;
+  var op = this.op;
+
+  this.currentLitlenTable = litlen;
+  this.currentDistTable = dist;
+
+  /** @type {number} output position limit. */
+  var olength = output.length;
+  /** @type {number} output position limit by maxOutputLength. */
+  var limit = this.outputLimit();
+  /** @type {boolean} strict mode. */
+  var strict = this.strict;
+  /** @type {number} oldest output position that can be referenced. */
+  var base = this.historyStart();
+  /** @type {number} max backward distance. */
+  var maxDistance = this.maxDistance;
+  /** @type {!(Array.<number>|Uint16Array)} length code table. */
+  var lengthCodeTable = this.lengthCodeTable;
+  /** @type {!(Array.<number>|Uint8Array)} length extra-bits table. */
+  var lengthExtraTable = this.lengthExtraTable;
+  /** @type {!(Array.<number>|Uint16Array)} dist code table. */
+  var distCodeTable = this.distCodeTable;
+  /** @type {!(Array.<number>|Uint8Array)} dist extra-bits table. */
+  var distExtraTable = this.distExtraTable;
+  /** @type {number} huffman code. */
+  var code;
+  /** @type {number} table index. */
+  var ti;
+  /** @type {number} huffman code distination. */
+  var codeDist;
+  /** @type {number} huffman code length. */
+  var codeLength;
+  /** @type {number} buffer position. */
+  var bpos;
+  /** @type {number} pre-copy counter. */
+  var preCopy;
+
+  try {
+    while ((code = this.readCodeByTable(litlen)) !== 256) {
+      // literal
+      if (code < 256) {
+        if (op >= limit) {
+          this.op = op;
+          this.checkOutputLength(1);
+        }
+        if (op === olength) {
+          output = this.expandBuffer();
+          olength = output.length;
+        }
+        output[op++] = code;
+
+        continue;
+      }
+
+      // length code
+      ti = code - 257;
+      if (strict && ti > 28) {
+        throw new Zlib.DataError(
+          'invalid literal/length code: ' + code,
+          Zlib.ZlibError.Code.INVALID_CODE
+        );
+      }
+      codeLength = lengthCodeTable[ti];
+      if (lengthExtraTable[ti] > 0) {
+        codeLength += this.readBits(lengthExtraTable[ti]);
+      }
+
+      // dist code
+      code = this.readCodeByTable(dist);
+      if (strict && code >= distCodeTable.length) {
+        throw new Zlib.DataError(
+          'invalid distance code: ' + code, Zlib.ZlibError.Code.INVALID_CODE
+        );
+      }
+      codeDist = distCodeTable[code];
+      if (distExtraTable[code] > 0) {
+        codeDist += this.readBits(distExtraTable[code]);
+      }
+      if (codeDist > maxDistance) {
+        throw new Zlib.DataError(
+          'invalid distance: exceeds window size ' + maxDistance,
+          Zlib.ZlibError.Code.INVALID_DISTANCE
+        );
+      }
+      if (strict && op - codeDist < base) {
+        throw new Zlib.DataError(
+          'invalid distance: too far back',
+          Zlib.ZlibError.Code.INVALID_DISTANCE
+        );
+      }
+
+      // lz77 decode
+      if (op + codeLength > limit) {
+        this.op = op;
+        this.checkOutputLength(codeLength);
+      }
+      while (op + codeLength > olength) {
+        output = this.expandBuffer();
+        olength = output.length;
+      }
+      while (codeLength--) {
+        output[op] = output[(op++) - codeDist];
+      }
+    }
+  } catch (e) {
+    // 例外の位置情報のために出力位置を反映する
+    this.op = op;
+    throw e;
+  }
+
+  this.op = op;
+};
+
+/**
+ * expand output buffer.
+ * @param {Object=} opt_param option parameters.
+ * @return {!(Array|Uint8Array)} output buffer.
+ */
+Zlib.RawInflate.prototype.expandBuffer = function(opt_param) {
+  this.checkOutputLength(0);
+
+  /** @type {!(Array|Uint8Array)} store buffer. */
+  var buffer =
+    new (USE_TYPEDARRAY ? Uint8Array : Array)(
+        this.op - this.windowSize
+    );
+  /** @type {number} backward base point */
+  var backward = this.op - this.windowSize;
+  /** @type {number} copy index. */
+  var i;
+  /** @type {number} copy limit */
+  var il;
+
+  var output = this.output;
+
+  // copy to output buffer
+  if (USE_TYPEDARRAY) {
+    buffer.set(output.subarray(this.windowSize, this.op));
+  } else {
+    for (i = 0, il = buffer.length; i < il; ++i) {
+      buffer[i] = output[i + this.windowSize];
+    }
+  }
+
+  this.blocks.push(buffer);
+  this.totalpos += buffer.length;
+
+  // copy to backward buffer
+  if (USE_TYPEDARRAY) {
+    output.set(
+      output.subarray(backward, backward + this.windowSize)
+    );
+  } else {
+    for (i = 0; i < this.windowSize; ++i) {
+      output[i] = output[backward + i];
+    }
+  }
+
+  this.op = this.windowSize;
+
+  return output;
+};
+
+/**
+ * expand output buffer. (callback)
+ * bufferSize 分ずつ出力を onData に渡し, 残りをウィンドウの後ろに移す.
+ * 最大コピー長が bufferSize より長い場合は複数のチャンクを渡す事がある.
+ * @param {Object=} opt_param option parameters.
+ * @return {!(Array|Uint8Array)} output buffer.
+ */
+Zlib.RawInflate.prototype.expandBufferCallback = function(opt_param) {
+  this.checkOutputLength(0);
+
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  var output = this.output;
+  /** @type {number} chunk size. */
+  var blockSize = this.blockSize;
+  /** @type {!Array.<!(Array|Uint8Array)>} output chunks. */
+  var chunks = [];
+  /** @type {number} chunk start position. */
+  var pos = this.windowSize;
+  /** @type {number} slide length. */
+  var slide;
+  /** @type {number} copy index. */
+  var i;
+  /** @type {number} copy limit */
+  var il;
+
+  while (this.op - pos >= blockSize) {
+    chunks.push(
+      USE_TYPEDARRAY ?
+        new Uint8Array(output.subarray(pos, pos + blockSize)) :
+        output.slice(pos, pos + blockSize)
+    );
+    pos += blockSize;
+  }
+  slide = pos - this.windowSize;
+
+  // copy to backward buffer
+  if (USE_TYPEDARRAY) {
+    output.set(output.subarray(slide, this.op));
+  } else {
+    for (i = 0, il = this.op - slide; i < il; ++i) {
+      output[i] = output[slide + i];
+    }
+  }
+
+  this.op -= slide;
+  this.totalpos += slide;
+  for (i = 0, il = chunks.length; i < il; ++i) {
+    this.onData(chunks[i]);
+  }
+
+  return output;
+};
+
+/**
+ * expand output buffer. (dynamic)
+ * @param {Object=} opt_param option parameters.
+ * @return {!(Array|Uint8Array)} output buffer pointer.
+ */
+Zlib.RawInflate.prototype.expandBufferDynamic = function(opt_param) {
+  if (this.fixedOutput) {
+    throw this.outputBufferFullError();
+  }
+
+  /** @type {!(Array|Uint8Array)} store buffer. */
+  var buffer;
+  /** @type {number} expantion ratio. */
+  var ratio = (this.input.length / this.ip + 1) | 0;
+  /** @type {number} maximum number of huffman code. */
+  var maxHuffCode;
+  /** @type {number} new output buffer size. */
+  var newSize;
+  /** @type {number} max inflate size. */
+  var maxInflateSize;
+  /** @type {number} copy index. */
+  var i;
+  /** @type {number} copy limit */
+  var il;
+
+  if (opt_param) {
+    if (typeof opt_param.fixRatio === 'number') {
+      ratio = opt_param.fixRatio;
+    }
+    if (typeof opt_param.addRatio === 'number') {
+      ratio += opt_param.addRatio;
+    }
+  }
+
+  var input = this.input;
+  var output = this.output;
+
+  // calculate new buffer size
+  if (ratio < 2) {
+    maxHuffCode =
+      (input.length - this.ip) / this.currentLitlenTable[2];
+    maxInflateSize = (maxHuffCode / 2 * 258) | 0;
+    newSize = maxInflateSize < output.length ?
+      output.length + maxInflateSize :
+      output.length << 1;
+  } else {
+    newSize = output.length * ratio;
+  }
+
+  // maxOutputLength を超えるバッファは確保しない
+  if (output.length - this.outputStart >= this.maxOutputLength) {
+    throw new Zlib.RawInflate.OutputLimitError(
+      'output length exceeds the limit: ' + this.maxOutputLength
+    );
+  }
+  if (newSize - this.outputStart > this.maxOutputLength) {
+    newSize = this.outputStart + this.maxOutputLength;
+  }
+
+  // create new output buffer
+  buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(newSize);
+
+  // copy
+  if (USE_TYPEDARRAY) {
+    buffer.set(output);
+  } else {
+    for (i = 0, il = output.length; i < il; ++i) {
+      buffer[i] = output[i];
+    }
+  }
+
+  this.output = buffer;
+
+  return this.output;
+};
+
+/**
+ * output position where the output length reaches maxOutputLength.
+ * @return {number} output buffer position.
+ */
+Zlib.RawInflate.prototype.outputLimit = function() {
+  /** @type {number} */
+  var limit = this.bufferType === Zlib.RawInflate.BufferType.BLOCK ?
+    this.windowSize + this.maxOutputLength - this.totalpos :
+    this.outputStart + this.maxOutputLength;
+
+  return this.fixedOutput && this.output.length < limit ?
+    this.output.length : limit;
+};
+
+/**
+ * output position of the oldest byte that can be referenced by distance.
+ * @return {number} output buffer position.
+ */
+Zlib.RawInflate.prototype.historyStart = function() {
+  /** @type {number} */
+  var start;
+
+  if (this.bufferType !== Zlib.RawInflate.BufferType.BLOCK) {
+    return this.outputStart - this.dictLength;
+  }
+
+  start = this.windowSize - this.dictLength - this.totalpos;
+
+  return start > 0 ? start : 0;
+};
+
+/**
+ * output length produced so far.
+ * @return {number} output length.
+ */
+Zlib.RawInflate.prototype.getOutputLength = function() {
+  return this.bufferType === Zlib.RawInflate.BufferType.BLOCK ?
+    this.totalpos + this.op - this.windowSize :
+    this.op - this.outputStart;
+};
+
+/**
+ * 次に読み込む入力のビット位置 (先読みしたビットは含まない).
+ * @return {number} input bit position.
+ */
+Zlib.RawInflate.prototype.getBitPosition = function() {
+  return this.ip * 8 - this.bitsbuflen;
+};
+
+/**
+ * 後方参照できる直前の出力 (最大ウィンドウサイズ分) のコピー.
+ * プリセット辞書も含む.
+ * @return {!(Array|Uint8Array)} sliding window.
+ */
+Zlib.RawInflate.prototype.getWindow = function() {
+  /** @type {number} window start position. */
+  var start = this.historyStart();
+
+  if (this.op - this.windowSize > start) {
+    start = this.op - this.windowSize;
+  }
+
+  return USE_TYPEDARRAY ?
+    new Uint8Array(this.output.subarray(start, this.op)) :
+    this.output.slice(start, this.op);
+};
+
+/**
+ * 例外に現在の入力と出力の位置を設定する.
+ * @param {*} e thrown error.
+ * @return {*} the error.
+ */
+Zlib.RawInflate.prototype.setErrorPosition = function(e) {
+  /** @type {number} input bit position. */
+  var bitpos = this.getBitPosition();
+
+  if (e instanceof Zlib.ZlibError) {
+    e.setPosition(bitpos >>> 3, bitpos & 7, this.getOutputLength());
+  }
+
+  return e;
+};
+
+/**
+ * check that the output does not exceed maxOutputLength.
+ * @param {number} length length of the data to be written at this.op.
+ */
+Zlib.RawInflate.prototype.checkOutputLength = function(length) {
+  if (this.op + length > this.outputLimit()) {
+    if (this.fixedOutput && this.op + length > this.output.length) {
+      throw this.outputBufferFullError();
+    }
+    throw new Zlib.RawInflate.OutputLimitError(
+      'output length exceeds the limit: ' + this.maxOutputLength
+    );
+  }
+};
+
+/**
+ * 呼び出し側が用意した出力バッファに収まらない時のエラー.
+ * @return {!Zlib.BufferError} error.
+ */
+Zlib.RawInflate.prototype.outputBufferFullError = function() {
+  return new Zlib.BufferError(
+    'output buffer is too small: ' + (this.output.length - this.outputStart),
+    Zlib.ZlibError.Code.OUTPUT_BUFFER_FULL
+  );
+};
+
+/**
+ * concat output buffer.
+ * @return {!(Array|Uint8Array)} output buffer.
+ */
+Zlib.RawInflate.prototype.concatBuffer = function() {
+  /** @type {number} buffer pointer. */
+  var pos = 0;
+  /** @type {number} buffer pointer. */
+  var limit = this.totalpos + (this.op - this.windowSize);
+  /** @type {!(Array|Uint8Array)} output block array. */
+  var output = this.output;
+  /** @type {!Array} blocks array. */
+  var blocks = this.blocks;
+  /** @type {!(Array|Uint8Array)} output block array. */
+  var block;
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  var buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(limit);
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limiter. */
+  var il;
+  /** @type {number} loop counter. */
+  var j;
+  /** @type {number} loop limiter. */
+  var jl;
+
+  // single buffer
+  if (blocks.length === 0 && !this.resize) {
+    return USE_TYPEDARRAY ?
+      this.output.subarray(this.windowSize, this.op) :
+      this.output.slice(this.windowSize, this.op);
+  }
+
+  // copy to buffer
+  for (i = 0, il = blocks.length; i < il; ++i) {
+    block = blocks[i];
+    for (j = 0, jl = block.length; j < jl; ++j) {
+      buffer[pos++] = block[j];
+    }
+  }
+
+  // current buffer
+  for (i = this.windowSize, il = this.op; i < il; ++i) {
+    buffer[pos++] = output[i];
+  }
+
+  this.blocks = [];
+  this.buffer = buffer;
+
+  return this.buffer;
+};
+
+/**
+ * concat output buffer. (callback)
+ * 残りの出力を onData に渡す.
+ * @return {!(Array|Uint8Array)} empty buffer.
+ */
+Zlib.RawInflate.prototype.concatBufferCallback = function() {
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  var output = this.output;
+  /** @type {number} chunk start position. */
+  var pos = this.windowSize;
+  /** @type {number} chunk end position. */
+  var end;
+
+  while (pos < this.op) {
+    end = pos + this.blockSize < this.op ? pos + this.blockSize : this.op;
+    this.totalpos += end - pos;
+    this.onData(
+      USE_TYPEDARRAY ?
+        new Uint8Array(output.subarray(pos, end)) : output.slice(pos, end)
+    );
+    pos = end;
+  }
+  this.op = this.windowSize;
+
+  this.buffer = new (USE_TYPEDARRAY ? Uint8Array : Array)(0);
+
+  return this.buffer;
+};
+
+/**
+ * concat output buffer. (dynamic)
+ * @return {!(Array|Uint8Array)} output buffer.
+ */
+Zlib.RawInflate.prototype.concatBufferDynamic = function() {
+  /** @type {Array|Uint8Array} output buffer. */
+  var buffer;
+  var resize = this.resize;
+
+  var op = this.op;
+  var sp = this.outputStart;
+
+  if (resize) {
+    if (USE_TYPEDARRAY) {
+      buffer = new Uint8Array(op - sp);
+      buffer.set(this.output.subarray(sp, op));
+    } else {
+      buffer = this.output.slice(sp, op);
+    }
+  } else {
+    buffer =
+      USE_TYPEDARRAY ? this.output.subarray(sp, op) : this.output.slice(sp, op);
+  }
+
+
+  this.buffer = buffer;
+
+  return this.buffer;
+};
+
+//-----------------------------------------------------------------------------
+// utility functions
+//-----------------------------------------------------------------------------
+
+/**
+ * copy the tail of preset dictionary to output buffer.
+ * @param {(Array|Uint8Array)} dictionary preset dictionary.
+ * @param {number} length copy length (from the end of dictionary).
+ * @param {!(Array|Uint8Array)} output output buffer.
+ * @param {number} op output buffer position.
+ */
+function copyDictionary(dictionary, length, output, op) {
+  /** @type {number} dictionary position. */
+  var dp;
+  /** @type {number} loop counter. */
+  var i;
+
+  if (!dictionary) {
+    return;
+  }
+
+  dp = dictionary.length - length;
+  if (USE_TYPEDARRAY && dictionary instanceof Uint8Array) {
+    output.set(dictionary.subarray(dp, dp + length), op);
+  } else {
+    for (i = 0; i < length; ++i) {
+      output[op + i] = dictionary[dp + i];
+    }
+  }
+}
+
+/**
+ * フルフラッシュで出力される空の非圧縮ブロックの LEN, NLEN (00 00 FF FF) を
+ * 探す.
+ * @param {!(Array|Uint8Array)} input input buffer.
+ * @param {number} ip search start position.
+ * @return {number} position after the marker, or -1 if not found.
+ */
+function findFullFlush(input, ip) {
+  /** @type {number} search limit. */
+  var il = input.length - 3;
+
+  for (; ip < il; ++ip) {
+    if (input[ip] === 0 && input[ip + 1] === 0 &&
+        input[ip + 2] === 0xff && input[ip + 3] === 0xff) {
+      return ip + 4;
+    }
+  }
+
+  return -1;
+}
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_RAWINFLATE_EXPORT) {
+  goog.exportSymbol('Zlib.RawInflate', Zlib.RawInflate);
+  goog.exportSymbol(
+    'Zlib.RawInflate.prototype.decompress',
+    Zlib.RawInflate.prototype.decompress
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.prototype.decompressInto',
+    Zlib.RawInflate.prototype.decompressInto
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.prototype.getError',
+    Zlib.RawInflate.prototype.getError
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.prototype.getSkippedRanges',
+    Zlib.RawInflate.prototype.getSkippedRanges
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.SkippedRange',
+    Zlib.RawInflate.SkippedRange
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.prototype.getBitPosition',
+    Zlib.RawInflate.prototype.getBitPosition
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.prototype.getWindow',
+    Zlib.RawInflate.prototype.getWindow
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.OutputLimitError',
+    Zlib.RawInflate.OutputLimitError
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.BufferType',
+    Zlib.RawInflate.BufferType
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.BufferType.BLOCK',
+    Zlib.RawInflate.BufferType.BLOCK
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflate.BufferType.ADAPTIVE',
+    Zlib.RawInflate.BufferType.ADAPTIVE
+  );
+}
+
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */
@@ -0,0 +1,872 @@
+/**
+ * rawinflatestream.js
+ *
+ * The MIT License
+ *
+ * Copyright (c) 2012 imaya
+ *
+ * Permission is hereby granted, free of charge, to any person obtaining a copy
+ * of this software and associated documentation files (the "Software"), to deal
+ * in the Software without restriction, including without limitation the rights
+ * to use, copy, modify, merge, publish, distribute, sublicense, and/or sell
+ * copies of the Software, and to permit persons to whom the Software is
+ * furnished to do so, subject to the following conditions:
+ *
+ * The above copyright notice and this permission notice shall be included in
+ * all copies or substantial portions of the Software.
+ *
+ * THE SOFTWARE IS PROVIDED "AS IS", WITHOUT WARRANTY OF ANY KIND, EXPRESS OR
+ * IMPLIED, INCLUDING BUT NOT LIMITED TO THE WARRANTIES OF MERCHANTABILITY,
+ * FITNESS FOR A PARTICULAR PURPOSE AND NONINFRINGEMENT. IN NO EVENT SHALL THE
+ * AUTHORS OR COPYRIGHT HOLDERS BE LIABLE FOR ANY CLAIM, DAMAGES OR OTHER
+ * LIABILITY, WHETHER IN AN ACTION OF CONTRACT, TORT OR OTHERWISE, ARISING FROM,
+ * OUT OF OR IN CONNECTION WITH THE SOFTWARE OR THE USE OR OTHER DEALINGS IN
+ * THE SOFTWARE.
+ */
+
+/**
+ * @fileoverview 入力を分割して受け取る Deflate (RFC1951) 復号化実装.
+ * 入力が途中で途切れた場合は復号可能な単位の先頭まで状態を巻き戻し,
+ * 次の入力を受け取った時点で続きから復号する.
+ */
+
+goog.provide('Zlib.RawInflateStream');
+
+//-----------------------------------------------------------------------------
+
+/** @define {boolean} export symbols. */
+var ZLIB_RAWINFLATE_STREAM_EXPORT = false;
+
+//-----------------------------------------------------------------------------
+
+goog.require('Zlib.BufferError');
+goog.require('Zlib.DataError');
+goog.require('Zlib.Huffman');
+goog.require('Zlib.ParameterError');
+goog.require('Zlib.RawInflate');
+goog.require('Zlib.ZlibError');
+
+goog.scope(function() {
+
+/** @const {function(!(Array.<number>|Uint8Array)): !Array} */
+var buildHuffmanTable = Zlib.Huffman.buildHuffmanTable;
+
+/**
+ * @param {Object=} opt_params option parameters.
+ *
+ * opt_params は以下のプロパティを指定する事ができます。
+ *   - bufferSize: buffer block size.
+ *   - dictionary: 後方参照用のウィンドウを初期化するプリセット辞書.
+ *   - windowBits: 後方参照の距離を 2^windowBits 以下に制限し, 超える
+ *     距離をエラーにする. zlib ヘッダの CINFO + 8 に当たる.
+ *
+ * Zlib.RawInflate のオプションのうち Zlib.RawInflateStream.UnsupportedParams
+ * に挙げたものには対応しておらず, 指定すると ParameterError になる.
+ * push に渡した入力は push から戻った後に書き換えても良い.
+ * @constructor
+ */
+Zlib.RawInflateStream = function(opt_params) {
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  this.input = new (USE_TYPEDARRAY ? Uint8Array : Array)(0);
+  /** @type {!number} input buffer pointer. */
+  this.ip = 0;
+  /** @type {!number} bit stream reader buffer. */
+  this.bitsbuf = 0;
+  /** @type {!number} bit stream reader buffer size. */
+  this.bitsbuflen = 0;
+  /** @type {number} block size. */
+  this.blockSize = ZLIB_BUFFER_BLOCK_SIZE;
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  this.output;
+  /** @type {!number} output buffer pointer. */
+  this.op = 0;
+  /** @type {!number} start position of output not yet returned. */
+  this.sp = 0;
+  /** @type {boolean} is final block flag. */
+  this.bfinal = false;
+  /** @type {Zlib.RawInflateStream.Status} decoder status. */
+  this.status = Zlib.RawInflateStream.Status.BLOCK_HEADER;
+  /** @type {Array} current literal and length code table. */
+  this.litlenTable = null;
+  /** @type {Array} current distance code table. */
+  this.distTable = null;
+  /** @type {number} remaining length of current uncompressed block. */
+  this.blockLength = 0;
+  /** @type {number} max backward distance (declared window size). */
+  this.maxDistance = Zlib.RawInflate.MaxBackwardLength;
+  /** @type {(Array|Uint8Array)} preset dictionary. */
+  var dictionary = null;
+  /** @type {number} preset dictionary length. */
+  var dictLength = 0;
+  /** @type {number} dictionary position. */
+  var dp;
+  /** @type {number} loop counter. */
+  var i;
+
+  Zlib.RawInflateStream.checkParams(opt_params);
+
+  // option parameters
+  if (opt_params) {
+    if (opt_params['bufferSize']) {
+      this.blockSize = opt_params['bufferSize'];
+    }
+    if (opt_params['dictionary']) {
+      dictionary = opt_params['dictionary'];
+      dictLength = dictionary.length < Zlib.RawInflate.MaxBackwardLength ?
+        dictionary.length : Zlib.RawInflate.MaxBackwardLength;
+    }
+    if (typeof opt_params['windowBits'] === 'number') {
+      this.maxDistance = 1 << opt_params['windowBits'];
+    }
+  }
+
+  if (this.maxDistance === 0 ||
+      this.maxDistance > Zlib.RawInflate.MaxBackwardLength) {
+    this.maxDistance = Zlib.RawInflate.MaxBackwardLength;
+  }
+
+  this.output = new (USE_TYPEDARRAY ? Uint8Array : Array)(
+    Zlib.RawInflate.MaxBackwardLength + this.blockSize
+  );
+
+  // preset dictionary
+  if (dictionary) {
+    for (i = 0, dp = dictionary.length - dictLength; i < dictLength; ++i) {
+      this.output[i] = dictionary[dp + i];
+    }
+    this.op = this.sp = dictLength;
+  }
+};
+
+/**
+ * Zlib.RawInflate のオプションのうちストリームでは対応していないもの.
+ * 黙って無視すると出力サイズの制限や厳密な検査が効かないので拒否する.
+ * @const {!Array.<string>}
+ */
+Zlib.RawInflateStream.UnsupportedParams = [
+  'strict', 'maxOutputLength', 'maxRatio', 'recover', 'sync', 'deflate64',
+  'onData', 'onBlock'
+];
+
+/**
+ * ストリームでは対応していないオプションが指定されていれば例外を投げる.
+ * false が指定されたものは指定がないものとして扱う.
+ * @param {Object=} opt_params option parameters.
+ */
+Zlib.RawInflateStream.checkParams = function(opt_params) {
+  /** @type {string} option name. */
+  var name;
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limiter. */
+  var il;
+
+  if (!opt_params) {
+    return;
+  }
+
+  for (i = 0, il = Zlib.RawInflateStream.UnsupportedParams.length; i < il;
+       ++i) {
+    name = Zlib.RawInflateStream.UnsupportedParams[i];
+    if (opt_params[name] !== void 0 && opt_params[name] !== false) {
+      throw new Zlib.ParameterError(
+        'unsupported option for stream: ' + name,
+        Zlib.ZlibError.Code.UNSUPPORTED_OPTION
+      );
+    }
+  }
+};
+
+/**
+ * decoder status.
+ * @enum {number}
+ */
+Zlib.RawInflateStream.Status = {
+  BLOCK_HEADER: 0,
+  STORED_HEADER: 1,
+  STORED_DATA: 2,
+  CODE_LENGTHS: 3,
+  HUFFMAN_DATA: 4,
+  END: 5
+};
+
+/**
+ * decompress the next chunk.
+ * @param {!(Array|Uint8Array)} chunk deflated buffer (partial).
+ * @return {!(Array|Uint8Array)} inflated buffer decoded from this chunk.
+ */
+Zlib.RawInflateStream.prototype.push = function(chunk) {
+  /** @type {boolean} continue flag. */
+  var next = true;
+
+  this.appendInput(chunk);
+
+  while (next) {
+    switch (this.status) {
+      case Zlib.RawInflateStream.Status.BLOCK_HEADER:
+        next = this.readBlockHeader();
+        break;
+      case Zlib.RawInflateStream.Status.STORED_HEADER:
+        next = this.readUncompressedBlockHeader();
+        break;
+      case Zlib.RawInflateStream.Status.STORED_DATA:
+        next = this.copyUncompressedBlock();
+        break;
+      case Zlib.RawInflateStream.Status.CODE_LENGTHS:
+        next = this.readDynamicHuffmanHeader();
+        break;
+      case Zlib.RawInflateStream.Status.HUFFMAN_DATA:
+        next = this.decodeHuffman();
+        break;
+      case Zlib.RawInflateStream.Status.END:
+        next = false;
+        break;
+      default:
+        throw new Zlib.ZlibError(
+          'invalid inflate stream status', Zlib.ZlibError.Code.INTERNAL
+        );
+    }
+  }
+
+  this.detachInput(chunk);
+
+  return this.concatBuffer();
+};
+
+/**
+ * check the end of deflate stream.
+ */
+Zlib.RawInflateStream.prototype.finish = function() {
+  if (this.status !== Zlib.RawInflateStream.Status.END) {
+    throw new Zlib.BufferError(
+      'unexpected end of deflate stream', Zlib.ZlibError.Code.TRUNCATED_INPUT
+    );
+  }
+};
+
+/**
+ * append chunk to unread input.
+ * 未読の入力がなければ chunk をコピーせずにそのまま読む.
+ * @param {!(Array|Uint8Array)} chunk input chunk.
+ */
+Zlib.RawInflateStream.prototype.appendInput = function(chunk) {
+  /** @type {!(Array|Uint8Array)} input buffer. */
+  var input = this.input;
+  /** @type {number} unread input length. */
+  var rest = input.length - this.ip;
+  /** @type {!(Array|Uint8Array)} new input buffer. */
+  var buffer;
+  /** @type {number} loop counter. */
+  var i;
+  /** @type {number} loop limiter. */
+  var il;
+
+  if (rest === 0) {
+    this.input = USE_TYPEDARRAY && !(chunk instanceof Uint8Array) ?
+      new Uint8Array(chunk) : chunk;
+    this.ip = 0;
+    return;
+  }
+
+  if (USE_TYPEDARRAY) {
+    buffer = new Uint8Array(rest + chunk.length);
+    buffer.set(input.subarray(this.ip));
+    buffer.set(chunk, rest);
+  } else {
+    buffer = input.slice(this.ip);
+    for (i = 0, il = chunk.length; i < il; ++i) {
+      buffer[rest + i] = chunk[i];
+    }
+  }
+
+  this.input = buffer;
+  this.ip = 0;
+};
+
+/**
+ * 未読の入力が chunk を参照したままであれば, 未読の部分だけをコピーする.
+ * 呼び出し側が push の後で chunk を書き換えても良いようにする.
+ * @param {!(Array|Uint8Array)} chunk input chunk passed to push.
+ */
+Zlib.RawInflateStream.prototype.detachInput = function(chunk) {
+  if (this.input !== chunk) {
+    return;
+  }
+
+  this.input = USE_TYPEDARRAY ?
+    new Uint8Array(chunk.subarray(this.ip)) : chunk.slice(this.ip);
+  this.ip = 0;
+};
+
+/**
+ * read inflate bits
+ * @param {number} length bits length.
+ * @return {number} read bits or -1 if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.readBits = function(length) {
+  var bitsbuf = this.bitsbuf;
+  var bitsbuflen = this.bitsbuflen;
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {number} input and output byte. */
+  var octet;
+
+  // not enough buffer
+  while (bitsbuflen < length) {
+    if (ip >= input.length) {
+      return -1;
+    }
+    bitsbuf |= input[ip++] << bitsbuflen;
+    bitsbuflen += 8;
+  }
+
+  // output byte
+  octet = bitsbuf & /* MASK */ ((1 << length) - 1);
+  bitsbuf >>>= length;
+  bitsbuflen -= length;
+
+  this.bitsbuf = bitsbuf;
+  this.bitsbuflen = bitsbuflen;
+  this.ip = ip;
+
+  return octet;
+};
+
+/**
+ * read huffman code using table
+ * @param {Array} table huffman code table.
+ * @return {number} huffman code or -1 if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.readCodeByTable = function(table) {
+  var bitsbuf = this.bitsbuf;
+  var bitsbuflen = this.bitsbuflen;
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {!(Array|Uint8Array)} huffman code table */
+  var codeTable = table[0];
+  /** @type {number} */
+  var maxCodeLength = table[1];
+  /** @type {number} root table bits. */
+  var rootBits = table[3];
+  /** @type {number} code length & code (16bit, 16bit) */
+  var codeWithLength;
+  /** @type {number} code bits length */
+  var codeLength;
+
+  // not enough buffer
+  while (bitsbuflen < maxCodeLength && ip < input.length) {
+    bitsbuf |= input[ip++] << bitsbuflen;
+    bitsbuflen += 8;
+  }
+
+  // read max length
+  codeWithLength = codeTable[bitsbuf & ((1 << rootBits) - 1)];
+  codeLength = codeWithLength >>> 16;
+
+  // root テーブルより長い符号は副テーブルを引く.
+  // 通常のエントリの符号長は 15 以下なので, 0x100000 以上のエントリは
+  // 副テーブルへのリンクになる (比較 1 回で判定できるようにしている)
+  if (codeWithLength >= 0x100000) {
+    codeWithLength = codeTable[
+      (codeWithLength & 0xffff) +
+      ((bitsbuf >>> rootBits) & ((1 << (codeLength & 0x0f)) - 1))
+    ];
+    codeLength = codeWithLength >>> 16;
+  }
+
+  if (codeLength === 0) {
+    throw new Zlib.DataError(
+      'invalid huffman code', Zlib.ZlibError.Code.INVALID_CODE
+    );
+  }
+  // 読み込めたビットが符号長に満たなければ次の入力を待つ
+  if (codeLength > bitsbuflen) {
+    this.bitsbuf = bitsbuf;
+    this.bitsbuflen = bitsbuflen;
+    this.ip = ip;
+    return -1;
+  }
+
+  this.bitsbuf = bitsbuf >> codeLength;
+  this.bitsbuflen = bitsbuflen - codeLength;
+  this.ip = ip;
+
+  return codeWithLength & 0xffff;
+};
+
+/**
+ * save input position.
+ * @return {!Array.<number>} [ip, bitsbuf, bitsbuflen].
+ */
+Zlib.RawInflateStream.prototype.save = function() {
+  return [this.ip, this.bitsbuf, this.bitsbuflen];
+};
+
+/**
+ * restore input position.
+ * @param {!Array.<number>} saved value returned from save().
+ * @return {boolean} always false (stop decoding).
+ */
+Zlib.RawInflateStream.prototype.restore = function(saved) {
+  this.ip = saved[0];
+  this.bitsbuf = saved[1];
+  this.bitsbuflen = saved[2];
+
+  return false;
+};
+
+/**
+ * read block header.
+ * @return {boolean} false if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.readBlockHeader = function() {
+  /** @type {number} header */
+  var hdr;
+
+  if (this.bfinal) {
+    // 先読みしてしまったバイトを入力に戻す
+    this.ip -= this.bitsbuflen >>> 3;
+    this.bitsbuf = 0;
+    this.bitsbuflen = 0;
+    this.status = Zlib.RawInflateStream.Status.END;
+    return true;
+  }
+
+  hdr = this.readBits(3);
+  if (hdr < 0) {
+    return false;
+  }
+
+  // BFINAL
+  if (hdr & 0x1) {
+    this.bfinal = true;
+  }
+
+  // BTYPE
+  hdr >>>= 1;
+  switch (hdr) {
+    // uncompressed
+    case 0:
+      // skip buffered header bits
+      this.ip -= this.bitsbuflen >>> 3;
+      this.bitsbuf = 0;
+      this.bitsbuflen = 0;
+      this.status = Zlib.RawInflateStream.Status.STORED_HEADER;
+      break;
+    // fixed huffman
+    case 1:
+      this.litlenTable = Zlib.RawInflate.FixedLiteralLengthTable;
+      this.distTable = Zlib.RawInflate.FixedDistanceTable;
+      this.status = Zlib.RawInflateStream.Status.HUFFMAN_DATA;
+      break;
+    // dynamic huffman
+    case 2:
+      this.status = Zlib.RawInflateStream.Status.CODE_LENGTHS;
+      break;
+    // reserved or other
+    default:
+      throw new Zlib.DataError(
+        'unknown BTYPE: ' + hdr, Zlib.ZlibError.Code.INVALID_BLOCK_TYPE
+      );
+  }
+
+  return true;
+};
+
+/**
+ * read uncompressed block header (LEN, NLEN).
+ * @return {boolean} false if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.readUncompressedBlockHeader = function() {
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {number} block length */
+  var len;
+  /** @type {number} number for check block length */
+  var nlen;
+
+  if (ip + 4 > input.length) {
+    return false;
+  }
+
+  len = input[ip++] | (input[ip++] << 8);
+  nlen = input[ip++] | (input[ip++] << 8);
+
+  // check len & nlen
+  if (len !== (~nlen & 0xffff)) {
+    throw new Zlib.DataError(
+      'invalid uncompressed block header: length verify',
+      Zlib.ZlibError.Code.INVALID_STORED_LENGTH
+    );
+  }
+
+  this.ip = ip;
+  this.blockLength = len;
+  this.status = Zlib.RawInflateStream.Status.STORED_DATA;
+
+  return true;
+};
+
+/**
+ * copy uncompressed block data.
+ * @return {boolean} false if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.copyUncompressedBlock = function() {
+  var input = this.input;
+  var ip = this.ip;
+
+  /** @type {number} copy length. */
+  var len = input.length - ip;
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  var output;
+  /** @type {number} output buffer pointer. */
+  var op;
+  /** @type {number} loop counter. */
+  var i;
+
+  if (len > this.blockLength) {
+    len = this.blockLength;
+  }
+
+  output = this.expandBuffer(len);
+  op = this.op;
+
+  // copy
+  if (USE_TYPEDARRAY) {
+    output.set(input.subarray(ip, ip + len), op);
+    op += len;
+    ip += len;
+  } else {
+    for (i = 0; i < len; ++i) {
+      output[op++] = input[ip++];
+    }
+  }
+
+  this.ip = ip;
+  this.op = op;
+  this.blockLength -= len;
+
+  if (this.blockLength > 0) {
+    return false;
+  }
+
+  this.status = Zlib.RawInflateStream.Status.BLOCK_HEADER;
+
+  return true;
+};
+
+/**
+ * read dynamic huffman block header and build code tables.
+ * @return {boolean} false if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.readDynamicHuffmanHeader = function() {
+  /** @type {!Array.<number>} saved input position. */
+  var saved = this.save();
+  /** @type {number} number of literal and length codes. */
+  var hlit = this.readBits(5);
+  /** @type {number} number of distance codes. */
+  var hdist = this.readBits(5);
+  /** @type {number} number of code lengths. */
+  var hclen = this.readBits(4);
+  /** @type {!(Uint8Array|Array)} code lengths. */
+  var codeLengths =
+    new (USE_TYPEDARRAY ? Uint8Array : Array)(Zlib.RawInflate.Order.length);
+  /** @type {!Array} code lengths table. */
+  var codeLengthsTable;
+  /** @type {!(Uint8Array|Array)} literal and length code lengths. */
+  var lengths;
+  /** @type {number} code. */
+  var code;
+  /** @type {number} previous code length. */
+  var prev = 0;
+  /** @type {number} repeat count. */
+  var repeat;
+  /** @type {number} repeat value. */
+  var value;
+  /** @type {number} extra bits. */
+  var bits;
+  /** @type {number} loop counter. */
+  var i;
+
+  if (hlit < 0 || hdist < 0 || hclen < 0) {
+    return this.restore(saved);
+  }
+  hlit += 257;
+  hdist += 1;
+  hclen += 4;
+
+  // decode code lengths
+  for (i = 0; i < hclen; ++i) {
+    bits = this.readBits(3);
+    if (bits < 0) {
+      return this.restore(saved);
+    }
+    codeLengths[Zlib.RawInflate.Order[i]] = bits;
+  }
+  if (!USE_TYPEDARRAY) {
+    for (i = hclen; i < codeLengths.length; ++i) {
+      codeLengths[Zlib.RawInflate.Order[i]] = 0;
+    }
+  }
+  codeLengthsTable = buildHuffmanTable(codeLengths);
+
+  // literal and length code, distance code
+  lengths = new (USE_TYPEDARRAY ? Uint8Array : Array)(hlit + hdist);
+  for (i = 0; i < hlit + hdist;) {
+    code = this.readCodeByTable(codeLengthsTable);
+    if (code < 0) {
+      return this.restore(saved);
+    }
+    switch (code) {
+      case 16:
+        bits = this.readBits(2);
+        repeat = 3 + bits;
+        value = prev;
+        break;
+      case 17:
+        bits = this.readBits(3);
+        repeat = 3 + bits;
+        value = prev = 0;
+        break;
+      case 18:
+        bits = this.readBits(7);
+        repeat = 11 + bits;
+        value = prev = 0;
+        break;
+      default:
+        bits = 0;
+        repeat = 1;
+        value = prev = code;
+        break;
+    }
+    if (bits < 0) {
+      return this.restore(saved);
+    }
+    while (repeat--) {
+      lengths[i++] = value;
+    }
+  }
+
+  this.litlenTable = buildHuffmanTable(
+    USE_TYPEDARRAY ? lengths.subarray(0, hlit) : lengths.slice(0, hlit),
+    false,
+    Zlib.RawInflate.LiteralLengthRootBits
+  );
+  this.distTable = buildHuffmanTable(
+    USE_TYPEDARRAY ? lengths.subarray(hlit) : lengths.slice(hlit),
+    false,
+    Zlib.RawInflate.DistanceRootBits
+  );
+  this.status = Zlib.RawInflateStream.Status.HUFFMAN_DATA;
+
+  return true;
+};
+
+/**
+ * decode huffman code.
+ * 1 シンボル (リテラル, または長さと距離の組) 単位で復号し,
+ * 入力が足りなくなったらそのシンボルの先頭まで巻き戻す.
+ * @return {boolean} false if the input is not enough.
+ */
+Zlib.RawInflateStream.prototype.decodeHuffman = function() {
+  var litlen = this.litlenTable;
+  var dist = this.distTable;
+  var output = this.output;
+  var op = this.op;
+
+  /** @type {number} output position limit. */
+  var olength = output.length;
+  /** @type {number} max backward distance. */
+  var maxDistance = this.maxDistance;
+  /** @type {!Array.<number>} saved input position. */
+  var saved;
+  /** @type {number} huffman code. */
+  var code;
+  /** @type {number} table index. */
+  var ti;
+  /** @type {number} huffman code distination. */
+  var codeDist;
+  /** @type {number} huffman code length. */
+  var codeLength;
+  /** @type {number} extra bits. */
+  var bits;
+
+  while (true) {
+    saved = this.save();
+
+    code = this.readCodeByTable(litlen);
+    if (code < 0) {
+      break;
+    }
+
+    // end of block
+    if (code === 256) {
+      this.status = Zlib.RawInflateStream.Status.BLOCK_HEADER;
+      this.op = op;
+      return true;
+    }
+
+    // literal
+    if (code < 256) {
+      if (op === olength) {
+        this.op = op;
+        output = this.expandBuffer(1);
+        op = this.op;
+        olength = output.length;
+      }
+      output[op++] = code;
+
+      continue;
+    }
+
+    // length code
+    ti = code - 257;
+    codeLength = Zlib.RawInflate.LengthCodeTable[ti];
+    if (Zlib.RawInflate.LengthExtraTable[ti] > 0) {
+      bits = this.readBits(Zlib.RawInflate.LengthExtraTable[ti]);
+      if (bits < 0) {
+        this.restore(saved);
+        break;
+      }
+      codeLength += bits;
+    }
+
+    // dist code
+    code = this.readCodeByTable(dist);
+    if (code < 0) {
+      this.restore(saved);
+      break;
+    }
+    codeDist = Zlib.RawInflate.DistCodeTable[code];
+    if (Zlib.RawInflate.DistExtraTable[code] > 0) {
+      bits = this.readBits(Zlib.RawInflate.DistExtraTable[code]);
+      if (bits < 0) {
+        this.restore(saved);
+        break;
+      }
+      codeDist += bits;
+    }
+    if (codeDist > maxDistance) {
+      throw new Zlib.DataError(
+        'invalid distance: exceeds window size ' + maxDistance,
+        Zlib.ZlibError.Code.INVALID_DISTANCE
+      );
+    }
+
+    // lz77 decode
+    if (op + codeLength > olength) {
+      this.op = op;
+      output = this.expandBuffer(codeLength);
+      op = this.op;
+      olength = output.length;
+    }
+    while (codeLength--) {
+      output[op] = output[(op++) - codeDist];
+    }
+  }
+
+  this.op = op;
+
+  return false;
+};
+
+/**
+ * expand output buffer.
+ * @param {number} length required length.
+ * @return {!(Array|Uint8Array)} output buffer.
+ */
+Zlib.RawInflateStream.prototype.expandBuffer = function(length) {
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  var output = this.output;
+  /** @type {!(Array|Uint8Array)} new output buffer. */
+  var buffer;
+  /** @type {number} new output buffer size. */
+  var newSize = output.length;
+  /** @type {number} loop counter. */
+  var i;
+
+  if (this.op + length <= output.length) {
+    return output;
+  }
+
+  while (newSize < this.op + length) {
+    newSize <<= 1;
+  }
+
+  if (USE_TYPEDARRAY) {
+    buffer = new Uint8Array(newSize);
+    buffer.set(output.subarray(0, this.op));
+  } else {
+    buffer = output;
+    for (i = output.length; i < newSize; ++i) {
+      buffer[i] = 0;
+    }
+  }
+
+  this.output = buffer;
+
+  return buffer;
+};
+
+/**
+ * take the output decoded since the last call, and keep only the last
+ * MaxBackwardLength bytes as the window for back-references.
+ * @return {!(Array|Uint8Array)} inflated buffer.
+ */
+Zlib.RawInflateStream.prototype.concatBuffer = function() {
+  /** @type {!(Array|Uint8Array)} output buffer. */
+  var output = this.output;
+  /** @type {number} output buffer pointer. */
+  var op = this.op;
+  /** @type {!(Array|Uint8Array)} inflated buffer. */
+  var buffer;
+  /** @type {number} window start position. */
+  var backward = op - Zlib.RawInflate.MaxBackwardLength;
+  /** @type {number} loop counter. */
+  var i;
+
+  if (USE_TYPEDARRAY) {
+    buffer = new Uint8Array(output.subarray(this.sp, op));
+  } else {
+    buffer = output.slice(this.sp, op);
+  }
+
+  // slide window
+  if (backward > 0) {
+    if (USE_TYPEDARRAY) {
+      output.set(output.subarray(backward, op));
+    } else {
+      for (i = 0; i < Zlib.RawInflate.MaxBackwardLength; ++i) {
+        output[i] = output[backward + i];
+      }
+    }
+    op = Zlib.RawInflate.MaxBackwardLength;
+  }
+
+  this.op = this.sp = op;
+
+  return buffer;
+};
+
+//*****************************************************************************
+// export
+//*****************************************************************************
+if (ZLIB_RAWINFLATE_STREAM_EXPORT) {
+  goog.exportSymbol('Zlib.RawInflateStream', Zlib.RawInflateStream);
+  goog.exportSymbol(
+    'Zlib.RawInflateStream.prototype.push',
+    Zlib.RawInflateStream.prototype.push
+  );
+  goog.exportSymbol(
+    'Zlib.RawInflateStream.prototype.finish',
+    Zlib.RawInflateStream.prototype.finish
+  );
+}
+
+// end of scope
+});
+
+/* vim:set expandtab ts=2 sw=2 tw=80: */